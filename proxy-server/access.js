@@ -0,0 +1,120 @@
+/**
+ * Deployment Access Control
+ *
+ * Public mode (the hosted proxy) accepts requests from any origin, since
+ * Foundry can be served from any host and port.
+ *
+ * Private mode is for self-hosted proxies: only allowlisted origins get CORS
+ * headers, so other websites can't read responses made with a visitor's
+ * cookie. With ACCESS.REJECT_UNLISTED_ORIGINS, requests from other origins are
+ * refused outright instead of just being unreadable. Requests without an
+ * Origin header (curl, server-to-server) are not browser-driven and pass.
+ *
+ * In either mode, setting ACCESS.API_KEY requires every /api request to carry
+ * it in the X-API-Key header (the module's "Proxy API Key" setting).
+ */
+
+import crypto from 'crypto';
+import { ACCESS } from './config.js';
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+/**
+ * Whether the proxy runs in private mode
+ * @returns {boolean}
+ */
+export function isPrivate() {
+  return ACCESS.MODE === 'private';
+}
+
+/**
+ * Whether a browser origin may use the proxy
+ * @param {string|undefined} origin - Origin request header
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin) {
+  if (!isPrivate() || !origin) return true;
+  return ACCESS.ALLOWED_ORIGINS.includes(origin.replace(/\/$/, '').toLowerCase());
+}
+
+/**
+ * CORS `origin` option for the current mode
+ * @returns {boolean|Function} - Value for the cors middleware's origin option
+ */
+export function getCorsOrigin() {
+  // Public: reflect any origin. Private: reflect allowlisted origins only
+  // (others get no CORS headers, so the browser won't hand them the response)
+  return isPrivate()
+    ? (origin, callback) => callback(null, isOriginAllowed(origin))
+    : true;
+}
+
+/**
+ * Middleware: refuse requests from origins outside the allowlist
+ * Only active in private mode with ACCESS.REJECT_UNLISTED_ORIGINS
+ */
+export function rejectUnlistedOrigins(req, res, next) {
+  if (!isPrivate() || !ACCESS.REJECT_UNLISTED_ORIGINS || isOriginAllowed(req.get('Origin'))) {
+    return next();
+  }
+
+  console.warn(`[ACCESS] Refused request from origin ${req.get('Origin')}`);
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'This proxy is private and does not accept requests from this origin'
+  });
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(a).digest();
+  const digestB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Middleware: require the shared API key, when one is configured
+ */
+export function requireApiKey(req, res, next) {
+  if (!ACCESS.API_KEY) {
+    return next();
+  }
+
+  const key = req.get(API_KEY_HEADER);
+  if (!key || !safeEqual(key, ACCESS.API_KEY)) {
+    return res.status(401).json({
+      error: 'Invalid API key',
+      message: `This proxy requires an API key (${API_KEY_HEADER} header); set it in the module's Proxy API Key setting`
+    });
+  }
+
+  next();
+}
+
+/**
+ * One-line description of the access configuration for the startup log
+ * @returns {string}
+ */
+export function describeAccess() {
+  if (!isPrivate()) {
+    return `public${ACCESS.API_KEY ? ', API key required' : ''}`;
+  }
+
+  const origins = ACCESS.ALLOWED_ORIGINS.length > 0 ? ACCESS.ALLOWED_ORIGINS.join(', ') : 'none';
+  return `private (allowed origins: ${origins}${ACCESS.REJECT_UNLISTED_ORIGINS ? ', others refused' : ''}${ACCESS.API_KEY ? ', API key required' : ''})`;
+}
+
+export default {
+  API_KEY_HEADER,
+  isPrivate,
+  isOriginAllowed,
+  getCorsOrigin,
+  rejectUnlistedOrigins,
+  requireApiKey,
+  describeAccess
+};
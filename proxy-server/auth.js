@@ -7,13 +7,18 @@
  * - Provides authenticated request headers
  */
 
-import fetch from 'node-fetch';
 import crypto from 'crypto';
+import { upstream } from './upstream.js';
 import { Cache } from './cache.js';
+import { SingleFlight } from './single-flight.js';
 import { DDB_URLS, CACHE_TTL, CONSTANTS } from './config.js';
 
 // Create auth cache with 5-minute TTL (bearer tokens expire quickly)
-export const authCache = new Cache('AUTH', CACHE_TTL.AUTH);
+// Bearer tokens are only shared through a shared backend (Redis), never written to disk
+export const authCache = new Cache('AUTH', CACHE_TTL.AUTH, { persist: 'shared' });
+
+// Concurrent token exchanges for the same cookie share one auth service call
+export const tokenFlights = new SingleFlight('AUTH');
 
 /**
  * Generate cache ID from cobalt cookie using SHA-256 hash
@@ -26,7 +31,8 @@ export function getCacheId(cobaltCookie) {
 
 /**
  * Exchange Cobalt cookie for bearer token
- * Caches the result for 5 minutes to reduce auth service load
+ * Caches the result for 5 minutes to reduce auth service load; concurrent
+ * exchanges for the same cookie are coalesced into one request
  *
  * @param {string} cobaltCookie - User's D&D Beyond session cookie
  * @returns {Promise<string>} - Bearer token
@@ -36,16 +42,26 @@ export async function getBearerToken(cobaltCookie) {
   const cacheId = getCacheId(cobaltCookie);
 
   // Check cache first
-  const cached = authCache.exists(cacheId);
+  const cached = await authCache.lookup(cacheId);
   if (cached.exists) {
     return cached.data;
   }
 
+  return tokenFlights.run(cacheId, () => exchangeCobaltCookie(cobaltCookie, cacheId));
+}
+
+/**
+ * Exchange a Cobalt cookie for a bearer token with the auth service and cache it
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {string} cacheId - Cache ID from getCacheId()
+ * @returns {Promise<string>} - Bearer token
+ */
+async function exchangeCobaltCookie(cobaltCookie, cacheId) {
   console.log('[AUTH] Exchanging cobalt cookie for bearer token');
 
   // Exchange cobalt cookie for bearer token
   try {
-    const response = await fetch(`${DDB_URLS.authService}/cobalt-token`, {
+    const response = await upstream.fetch(`${DDB_URLS.authService}/cobalt-token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -57,7 +73,9 @@ export async function getBearerToken(cobaltCookie) {
     if (!response.ok) {
       const status = response.status;
       if (status === 401 || status === 403) {
-        throw new Error('Invalid or expired Cobalt cookie');
+        const error = new Error('Invalid or expired Cobalt cookie');
+        error.code = 'AUTH_REJECTED';
+        throw error;
       }
       throw new Error(`Auth service error: ${status} ${response.statusText}`);
     }
@@ -136,15 +154,22 @@ export function getCobaltHeaders(cobaltCookie) {
 
 /**
  * Validate a Cobalt cookie by testing authentication
+ * Only a rejection by the auth service makes a cookie invalid; when D&D Beyond
+ * can't be reached (errors, timeouts, open circuit) nothing is known about the
+ * cookie, so the error is thrown instead
  *
  * @param {string} cobaltCookie - User's D&D Beyond session cookie
  * @returns {Promise<{valid: boolean, message?: string}>}
+ * @throws {Error} - If the auth service could not answer
  */
 export async function validateCobaltCookie(cobaltCookie) {
   try {
     await getBearerToken(cobaltCookie);
     return { valid: true };
   } catch (error) {
+    if (error.code !== 'AUTH_REJECTED') {
+      throw error;
+    }
     return {
       valid: false,
       message: error.message || 'Invalid or expired cookie'
@@ -154,6 +179,7 @@ export async function validateCobaltCookie(cobaltCookie) {
 
 export default {
   authCache,
+  tokenFlights,
   getCacheId,
   getBearerToken,
   getAuthHeaders,
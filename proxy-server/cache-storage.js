@@ -0,0 +1,492 @@
+/**
+ * Cache Storage Backends
+ *
+ * Persistence layers behind the in-memory Cache class:
+ * - MemoryStorage: no persistence (default, previous behaviour)
+ * - FileStorage: one JSON file per entry, survives restarts and free-tier sleeps
+ * - RedisStorage: Redis-protocol server shared by every proxy instance
+ *
+ * The Cache keeps its working set in memory and writes through to the storage
+ * backend. Every backend implements the same async interface:
+ *   load(cacheName, limits)    -> Promise<Array<[id, {data, timestamp}]>> (startup hydration,
+ *                                 oldest first, at most limits.maxEntries / limits.maxBytes)
+ *   get(cacheName, id)         -> Promise<{data, timestamp}|null> (read-through on a local miss)
+ *   save(cacheName, id, entry) -> Promise<void>
+ *   delete(cacheName, id)      -> Promise<void>
+ *   clear(cacheName)           -> Promise<void>
+ *   flush()                    -> Promise<void> (waits for pending writes)
+ *
+ * `shared` is true for backends other proxy instances can see; the Cache only
+ * reads through on a miss (and only persists bearer tokens) when it is set.
+ *
+ * Per-account entries are encrypted at rest with AES-256-GCM. The key is
+ * derived from CACHE_SECRET and the entry's account hash (the getCacheId()
+ * prefix of the cache key), so one account's data can't be read with another
+ * account's key. Without CACHE_SECRET, per-account entries stay in memory only.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { CACHE_STORAGE } from './config.js';
+import { RedisClient } from './redis-client.js';
+
+// AES-256-GCM parameters
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_INFO = 'ddb-proxy-cache';
+
+/**
+ * Converts cache entries to storable records, encrypting per-account data
+ */
+class EntryCodec {
+  /**
+   * @param {string|null} secret - Server secret for encrypting per-account entries
+   */
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  /**
+   * Derive the encryption key for an account
+   * @param {string} accountId - Account hash from getCacheId()
+   * @returns {Buffer} - 32-byte key
+   */
+  deriveKey(accountId) {
+    return Buffer.from(crypto.hkdfSync('sha256', this.secret, accountId, KEY_INFO, 32));
+  }
+
+  /**
+   * Encrypt cache data for an account
+   * @param {any} data - Data to encrypt
+   * @param {string} accountId - Account hash from getCacheId()
+   * @returns {{iv: string, tag: string, payload: string}} - Base64-encoded ciphertext
+   */
+  encrypt(data, accountId) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, this.deriveKey(accountId), iv);
+    const payload = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      payload: payload.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt cache data for an account
+   * @param {object} record - Stored record with iv, tag and payload
+   * @param {string} accountId - Account hash from getCacheId()
+   * @returns {any} - Decrypted data
+   */
+  decrypt(record, accountId) {
+    const decipher = crypto.createDecipheriv(CIPHER, this.deriveKey(accountId), Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(record.payload, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Encode an entry as a storable record
+   * @param {string} id - Cache key
+   * @param {object} entry - {data, timestamp, accountId}; accountId marks per-account data
+   * @returns {object|null} - Record, or null if the entry must not be stored
+   */
+  encode(id, entry) {
+    const { data, timestamp, accountId = null } = entry;
+
+    // Never store per-account data unencrypted
+    if (accountId && !this.secret) return null;
+
+    return accountId
+      ? { id, timestamp, accountId, ...this.encrypt(data, accountId) }
+      : { id, timestamp, data };
+  }
+
+  /**
+   * Decode a stored record
+   * @param {object} record - Stored record
+   * @returns {{id: string, data: any, timestamp: number}|null} - Entry, or null if it can't be read
+   * @throws {Error} - If decryption fails (e.g. after a secret change)
+   */
+  decode(record) {
+    if (record.accountId) {
+      if (!this.secret) return null;
+      return { id: record.id, data: this.decrypt(record, record.accountId), timestamp: record.timestamp };
+    }
+    return { id: record.id, data: record.data, timestamp: record.timestamp };
+  }
+}
+
+/**
+ * Storage backend that persists nothing
+ */
+export class MemoryStorage {
+  constructor() {
+    this.type = 'memory';
+    this.shared = false;
+  }
+
+  async load() {
+    return [];
+  }
+
+  async get() {
+    return null;
+  }
+
+  async save() {}
+
+  async delete() {}
+
+  async clear() {}
+
+  async flush() {}
+}
+
+/**
+ * Base class for backends that track pending writes
+ */
+class TrackedStorage {
+  constructor() {
+    this.pending = new Set();
+  }
+
+  /**
+   * Track a write so flush() can wait for it
+   * @param {Promise} promise - Pending write
+   * @returns {Promise} - The same promise
+   */
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise)).catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Wait for all pending writes
+   */
+  async flush() {
+    await Promise.allSettled([...this.pending]);
+  }
+}
+
+/**
+ * Storage backend that writes each cache entry to its own JSON file
+ * Layout: <dir>/<cacheName>/<sha256(id)>.json
+ */
+export class FileStorage extends TrackedStorage {
+  /**
+   * Create a file storage backend
+   * @param {string} dir - Directory to store cache files in
+   * @param {object} options - Storage options
+   * @param {string|null} options.secret - Server secret for encrypting per-account entries
+   */
+  constructor(dir, { secret = null } = {}) {
+    super();
+    this.type = 'file';
+    this.shared = false;
+    this.dir = path.resolve(dir);
+    this.codec = new EntryCodec(secret);
+
+    if (!secret) {
+      console.warn('[CACHE STORAGE] CACHE_SECRET not set - per-account cache entries will not be persisted');
+    }
+  }
+
+  /**
+   * Get the directory for a cache
+   * @param {string} cacheName - Cache name
+   * @returns {string} - Directory path
+   */
+  cacheDir(cacheName) {
+    return path.join(this.dir, cacheName.replace(/[^A-Za-z0-9_-]/g, '_'));
+  }
+
+  /**
+   * Get the file path for a cache entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   * @returns {string} - File path
+   */
+  entryPath(cacheName, id) {
+    const fileName = crypto.createHash('sha256').update(id).digest('hex');
+    return path.join(this.cacheDir(cacheName), `${fileName}.json`);
+  }
+
+  /**
+   * Load the most recently written entries for a cache, up to the cache's limits
+   * Files are read newest first and loading stops once either limit is reached
+   * (file size stands in for memory size), so startup memory is bounded by the
+   * cache limits rather than by what is on disk. Entries that fail to parse or
+   * decrypt (e.g. after a secret change) are skipped.
+   * @param {string} cacheName - Cache name
+   * @param {object} limits - Hydration limits
+   * @param {number} limits.maxEntries - Most entries to load
+   * @param {number} limits.maxBytes - Most bytes of files to load
+   * @returns {Promise<Array<[string, object]>>} - [id, {data, timestamp}] pairs, oldest first
+   */
+  async load(cacheName, { maxEntries = Infinity, maxBytes = Infinity } = {}) {
+    const dir = this.cacheDir(cacheName);
+    let names;
+
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names.filter(file => file.endsWith('.json'))) {
+      try {
+        const { mtimeMs, size } = await fs.stat(path.join(dir, name));
+        files.push({ name, mtimeMs, size });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // Deleted since readdir
+      }
+    }
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    const entries = [];
+    let bytes = 0;
+    let limited = false;
+    for (const file of files) {
+      if (entries.length >= maxEntries || bytes + file.size > maxBytes) {
+        limited = true;
+        break;
+      }
+
+      try {
+        const entry = this.codec.decode(JSON.parse(await fs.readFile(path.join(dir, file.name), 'utf8')));
+        if (entry) {
+          entries.push([entry.id, { data: entry.data, timestamp: entry.timestamp }]);
+          bytes += file.size;
+        }
+      } catch (error) {
+        console.warn(`[CACHE STORAGE] Skipping unreadable entry ${cacheName}/${file.name}: ${error.message}`);
+      }
+    }
+
+    if (limited) {
+      console.log(`[CACHE STORAGE] Loaded the ${entries.length} newest of ${files.length} ${cacheName} entries (cache limits reached)`);
+    }
+
+    // Oldest first, so the newest end up most recently used
+    return entries.reverse();
+  }
+
+  /**
+   * Get a single entry (everything was loaded at startup, so this only
+   * matters for entries written by another process sharing the directory)
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   * @returns {Promise<{data: any, timestamp: number}|null>} - Entry, or null if missing
+   */
+  async get(cacheName, id) {
+    try {
+      const entry = this.codec.decode(JSON.parse(await fs.readFile(this.entryPath(cacheName, id), 'utf8')));
+      return entry && entry.id === id ? { data: entry.data, timestamp: entry.timestamp } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Save an entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   * @param {object} entry - {data, timestamp, accountId}; accountId marks per-account data
+   */
+  async save(cacheName, id, entry) {
+    const record = this.codec.encode(id, entry);
+    if (!record) return;
+
+    const filePath = this.entryPath(cacheName, id);
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    // Write to a temp file and rename so a crash never leaves a partial entry
+    // (unique per write, so overlapping saves of one entry can't share a temp file)
+    await this.track((async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+      await fs.writeFile(tempPath, JSON.stringify(record), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    })());
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   */
+  async delete(cacheName, id) {
+    await this.track(fs.rm(this.entryPath(cacheName, id), { force: true }));
+  }
+
+  /**
+   * Delete all entries for a cache
+   * @param {string} cacheName - Cache name
+   */
+  async clear(cacheName) {
+    await this.track(fs.rm(this.cacheDir(cacheName), { recursive: true, force: true }));
+  }
+}
+
+/**
+ * Storage backend on a Redis-protocol server, shared by every proxy instance
+ * Keys: <prefix><cacheName>:<sha256(id)>, expiring with the entry's TTL + max-stale window.
+ * Entries are read through on a local miss rather than all loaded at startup.
+ */
+export class RedisStorage extends TrackedStorage {
+  /**
+   * Create a Redis storage backend
+   * @param {string} url - Connection URL (redis[s]://[[user]:password@]host[:port][/db])
+   * @param {object} options - Storage options
+   * @param {string} options.prefix - Key prefix (default: 'ddb-proxy:')
+   * @param {string|null} options.secret - Server secret for encrypting per-account entries
+   */
+  constructor(url, { prefix = 'ddb-proxy:', secret = null } = {}) {
+    super();
+    this.type = 'redis';
+    this.shared = true;
+    this.client = new RedisClient(url);
+    this.prefix = prefix;
+    this.codec = new EntryCodec(secret);
+
+    if (!secret) {
+      console.warn('[CACHE STORAGE] CACHE_SECRET not set - per-account cache entries will not be shared');
+    }
+  }
+
+  /**
+   * Get the Redis key for a cache entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   * @returns {string} - Redis key
+   */
+  entryKey(cacheName, id) {
+    return `${this.prefix}${cacheName}:${crypto.createHash('sha256').update(id).digest('hex')}`;
+  }
+
+  /**
+   * Entries are fetched on demand via get()
+   * @returns {Promise<Array>} - Always empty
+   */
+  async load() {
+    return [];
+  }
+
+  /**
+   * Get a single entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   * @returns {Promise<{data: any, timestamp: number}|null>} - Entry, or null if missing
+   */
+  async get(cacheName, id) {
+    const value = await this.client.command('GET', this.entryKey(cacheName, id));
+    if (!value) return null;
+
+    const entry = this.codec.decode(JSON.parse(value));
+    return entry && entry.id === id ? { data: entry.data, timestamp: entry.timestamp } : null;
+  }
+
+  /**
+   * Save an entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   * @param {object} entry - {data, timestamp, accountId, expiresInMs}
+   */
+  async save(cacheName, id, entry) {
+    const record = this.codec.encode(id, entry);
+    if (!record) return;
+
+    const args = ['SET', this.entryKey(cacheName, id), JSON.stringify(record)];
+    if (entry.expiresInMs > 0) {
+      args.push('PX', Math.ceil(entry.expiresInMs));
+    }
+
+    await this.track(this.client.command(...args));
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} cacheName - Cache name
+   * @param {string} id - Cache key
+   */
+  async delete(cacheName, id) {
+    await this.track(this.client.command('DEL', this.entryKey(cacheName, id)));
+  }
+
+  /**
+   * Delete all entries for a cache
+   * @param {string} cacheName - Cache name
+   */
+  async clear(cacheName) {
+    await this.track((async () => {
+      const keys = await this.client.scanKeys(`${this.prefix}${cacheName}:*`);
+      for (let i = 0; i < keys.length; i += 500) {
+        await this.client.command('DEL', ...keys.slice(i, i + 500));
+      }
+    })());
+  }
+
+  /**
+   * Wait for pending writes, then close the connection
+   */
+  async flush() {
+    await super.flush();
+    await this.client.quit();
+  }
+}
+
+// Shared storage instance used by every Cache that doesn't pass its own
+let defaultStorage = null;
+
+/**
+ * Create a storage backend from configuration
+ * @param {object} config - Storage configuration (defaults to CACHE_STORAGE)
+ * @returns {MemoryStorage|FileStorage|RedisStorage} - Storage backend
+ */
+export function createStorage(config = CACHE_STORAGE) {
+  switch (config.BACKEND) {
+    case 'file':
+      console.log(`[CACHE STORAGE] Using file storage in ${path.resolve(config.DIR)}`);
+      return new FileStorage(config.DIR, { secret: config.SECRET });
+    case 'redis':
+      if (!config.REDIS_URL) {
+        console.warn('[CACHE STORAGE] REDIS_URL not set, falling back to memory');
+        return new MemoryStorage();
+      }
+      console.log(`[CACHE STORAGE] Using Redis storage at ${new URL(config.REDIS_URL).host}`);
+      return new RedisStorage(config.REDIS_URL, { prefix: config.REDIS_PREFIX, secret: config.SECRET });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      console.warn(`[CACHE STORAGE] Unknown backend "${config.BACKEND}", falling back to memory`);
+      return new MemoryStorage();
+  }
+}
+
+/**
+ * Get the shared storage backend, creating it on first use
+ * @returns {MemoryStorage|FileStorage|RedisStorage} - Storage backend
+ */
+export function getDefaultStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+}
+
+export default {
+  MemoryStorage,
+  FileStorage,
+  RedisStorage,
+  createStorage,
+  getDefaultStorage
+};
@@ -3,41 +3,267 @@
  *
  * Provides caching with automatic expiration based on time-to-live (TTL).
  * Each cache instance can have different expiration times.
+ *
+ * Entries are kept in memory and written through to a storage backend
+ * (see cache-storage.js), which the cache hydrates from on startup. With a
+ * shared backend (Redis), lookup() also reads through to storage on a local
+ * miss so every proxy instance sees entries added by the others.
+ *
+ * Memory is bounded by a maximum entry count and an approximate byte budget;
+ * when either is exceeded the least recently used entries are evicted from
+ * memory only. Their stored copies stay until they expire (other instances
+ * may still be serving them), and are removed only on expiry or remove()/clear().
+ *
+ * With maxStaleMs set, entries past their TTL are still returned (flagged
+ * stale) until TTL + maxStaleMs, so callers can serve them while refreshing
+ * in the background (stale-while-revalidate).
  */
 
+import { getDefaultStorage } from './cache-storage.js';
+import { CACHE_LIMITS } from './config.js';
+
 export class Cache {
   /**
    * Create a new cache instance
    * @param {string} name - Cache name for logging
    * @param {number} ttlMs - Time to live in milliseconds
+   * @param {object} options - Cache options
+   * @param {object} options.storage - Storage backend (default: shared backend from CACHE_BACKEND)
+   * @param {boolean} options.shared - Entries are anonymous and shareable across users (stored unencrypted)
+   * @param {boolean|string} options.persist - Write entries to the storage backend (default: true);
+   *   'shared' only persists to backends shared between instances (never to disk)
+   * @param {number} options.maxEntries - Maximum number of entries before LRU eviction
+   * @param {number} options.maxBytes - Approximate memory budget in bytes before LRU eviction
+   * @param {number} options.cleanupIntervalMs - How often expired entries are swept (0 disables)
+   * @param {number} options.maxStaleMs - How long past TTL entries may still be served stale (default: 0)
    */
-  constructor(name, ttlMs) {
+  constructor(name, ttlMs, options = {}) {
+    const {
+      storage = getDefaultStorage(),
+      shared = false,
+      persist = true,
+      maxEntries = CACHE_LIMITS.MAX_ENTRIES,
+      maxBytes = CACHE_LIMITS.MAX_BYTES,
+      cleanupIntervalMs = CACHE_LIMITS.CLEANUP_INTERVAL,
+      maxStaleMs = 0
+    } = options;
+
     this.name = name;
     this.ttlMs = ttlMs;
-    this.items = new Map();
+    this.maxStaleMs = maxStaleMs;
+    this.items = new Map(); // Insertion order doubles as LRU order (oldest first)
+    this.shared = shared;
+    this.storage = persist === true || (persist === 'shared' && storage.shared) ? storage : null;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.totalBytes = 0;
+    this.evictions = 0;
+
+    // Sweep expired entries periodically; unref so the timer never keeps the process alive
+    this.cleanupTimer = null;
+    if (cleanupIntervalMs > 0) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+      this.cleanupTimer.unref();
+    }
+
+    // Resolves once persisted entries have been loaded
+    this.ready = this.hydrate();
+  }
+
+  /**
+   * Load persisted entries from the storage backend, dropping expired ones
+   * Only as many entries as fit the cache's limits are read
+   * @returns {Promise<void>}
+   */
+  async hydrate() {
+    if (!this.storage) return;
+
+    try {
+      const entries = await this.storage.load(this.name, { maxEntries: this.maxEntries, maxBytes: this.maxBytes });
+      let loaded = 0;
+
+      for (const [id, entry] of entries) {
+        if (this.isPastMaxStale(entry.timestamp)) {
+          this.persist('delete', id);
+          continue;
+        }
+
+        // Entries added since startup are newer than anything on disk
+        if (!this.items.has(id)) {
+          this.setEntry(id, { data: entry.data, timestamp: entry.timestamp });
+          loaded++;
+        }
+      }
+
+      this.evict();
+
+      if (loaded > 0) {
+        console.log(`[CACHE ${this.name}] Loaded ${loaded} entries from ${this.storage.type} storage`);
+      }
+    } catch (error) {
+      console.error(`[CACHE ${this.name}] Failed to load from storage:`, error.message);
+    }
+  }
+
+  /**
+   * Estimate the in-memory size of cached data
+   * Uses the serialized JSON length, which tracks the real heap cost closely
+   * enough for budgeting without walking object graphs.
+   * @param {any} data - Data to measure
+   * @returns {number} - Approximate size in bytes
+   */
+  estimateSize(data) {
+    try {
+      return Buffer.byteLength(JSON.stringify(data) || '');
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Store an entry in memory as the most recently used, tracking its size
+   * @param {string} id - Cache key
+   * @param {{data: any, timestamp: number}} entry - Entry to store
+   */
+  setEntry(id, entry) {
+    this.deleteEntry(id);
+    entry.bytes = this.estimateSize(entry.data);
+    this.items.set(id, entry);
+    this.totalBytes += entry.bytes;
+  }
+
+  /**
+   * Remove an entry from memory, tracking its size
+   * @param {string} id - Cache key
+   * @returns {boolean} - True if the entry existed
+   */
+  deleteEntry(id) {
+    const cached = this.items.get(id);
+    if (!cached) return false;
+
+    this.items.delete(id);
+    this.totalBytes -= cached.bytes || 0;
+    return true;
+  }
+
+  /**
+   * Evict least recently used entries until the cache is within its limits
+   * Only the local in-memory copy is dropped; the stored copy is left to expire.
+   * The most recently used entry is always kept, even if it alone exceeds maxBytes.
+   */
+  evict() {
+    let evicted = 0;
+
+    while (this.items.size > 1 &&
+      (this.items.size > this.maxEntries || this.totalBytes > this.maxBytes)) {
+      const oldestId = this.items.keys().next().value;
+      this.deleteEntry(oldestId);
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      this.evictions += evicted;
+      console.log(`[CACHE ${this.name}] Evicted ${evicted} least recently used entries (${this.items.size} entries, ~${Math.round(this.totalBytes / 1024)} KB)`);
+    }
+  }
+
+  /**
+   * Get the account an entry belongs to (the getCacheId() hash prefix of its key)
+   * @param {string} id - Cache key
+   * @returns {string|null} - Account hash, or null for shared caches
+   */
+  getAccountId(id) {
+    return this.shared ? null : id.split('_')[0];
+  }
+
+  /**
+   * Write a change through to the storage backend (errors are logged, not thrown)
+   * @param {string} operation - 'save', 'delete' or 'clear'
+   * @param {string} [id] - Cache key
+   * @param {object} [entry] - Entry to save
+   */
+  persist(operation, id, entry) {
+    if (!this.storage) return;
+
+    let pending;
+    if (operation === 'save') {
+      pending = this.storage.save(this.name, id, {
+        ...entry,
+        accountId: this.getAccountId(id),
+        expiresInMs: this.ttlMs + this.maxStaleMs
+      });
+    } else if (operation === 'delete') {
+      pending = this.storage.delete(this.name, id);
+    } else {
+      pending = this.storage.clear(this.name);
+    }
+
+    pending.catch(error => {
+      console.error(`[CACHE ${this.name}] Storage ${operation} failed:`, error.message);
+    });
   }
 
   /**
    * Check if a cached item exists and is not expired
+   * Entries past their TTL but within maxStaleMs are returned with stale: true
    * @param {string} id - Cache key
-   * @returns {{exists: boolean, data: any}} - Cached data if exists and valid
+   * @returns {{exists: boolean, data: any, stale: boolean}} - Cached data if exists and valid
    */
   exists(id) {
     const cached = this.items.get(id);
 
     if (!cached) {
-      return { exists: false, data: null };
+      return { exists: false, data: null, stale: false };
     }
 
-    // Check if expired
-    if (this.isExpired(cached.timestamp)) {
-      this.items.delete(id);
+    // Check if expired beyond the stale window
+    if (this.isPastMaxStale(cached.timestamp)) {
+      this.deleteEntry(id);
+      this.persist('delete', id);
       console.log(`[CACHE ${this.name}] Expired entry removed: ${id.substring(0, 8)}...`);
-      return { exists: false, data: null };
+      return { exists: false, data: null, stale: false };
+    }
+
+    // Mark as most recently used
+    this.items.delete(id);
+    this.items.set(id, cached);
+
+    const stale = this.isExpired(cached.timestamp);
+    console.log(`[CACHE ${this.name}] ${stale ? 'Stale hit' : 'Hit'}: ${id.substring(0, 8)}...`);
+    return { exists: true, data: cached.data, stale };
+  }
+
+  /**
+   * Check the cache, reading through to a shared storage backend on a local miss
+   * Same result shape as exists(); use this where the caller can await.
+   * @param {string} id - Cache key
+   * @returns {Promise<{exists: boolean, data: any, stale: boolean}>} - Cached data if exists and valid
+   */
+  async lookup(id) {
+    const local = this.exists(id);
+    if (local.exists || !this.storage || !this.storage.shared) {
+      return local;
     }
 
-    console.log(`[CACHE ${this.name}] Hit: ${id.substring(0, 8)}...`);
-    return { exists: true, data: cached.data };
+    try {
+      const entry = await this.storage.get(this.name, id);
+
+      // Added locally while reading (a fetch or hydration finished first)
+      if (this.items.has(id)) {
+        return this.exists(id);
+      }
+
+      if (entry && !this.isPastMaxStale(entry.timestamp)) {
+        this.setEntry(id, { data: entry.data, timestamp: entry.timestamp });
+        this.evict();
+        console.log(`[CACHE ${this.name}] Loaded from ${this.storage.type}: ${id.substring(0, 8)}...`);
+        return this.exists(id);
+      }
+    } catch (error) {
+      console.error(`[CACHE ${this.name}] Storage read failed:`, error.message);
+    }
+
+    return local;
   }
 
   /**
@@ -49,6 +275,15 @@ export class Cache {
     return (Date.now() - timestamp) > this.ttlMs;
   }
 
+  /**
+   * Check if a timestamp is too old to be served even as stale
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {boolean} - True if past TTL + maxStaleMs
+   */
+  isPastMaxStale(timestamp) {
+    return (Date.now() - timestamp) > this.ttlMs + this.maxStaleMs;
+  }
+
   /**
    * Add data to cache with current timestamp
    * @param {string} id - Cache key
@@ -61,19 +296,18 @@ export class Cache {
       return null;
     }
 
-    // Remove old entry if exists
-    if (this.items.has(id)) {
-      this.items.delete(id);
-    }
-
-    // Add new entry with timestamp
-    this.items.set(id, {
+    // Add new entry with timestamp (replaces any old entry)
+    const entry = {
       data: data,
       timestamp: Date.now()
-    });
+    };
+    this.setEntry(id, entry);
+    this.persist('save', id, { data: entry.data, timestamp: entry.timestamp });
 
     const dataSize = Array.isArray(data) ? `${data.length} items` : 'object';
-    console.log(`[CACHE ${this.name}] Added: ${id.substring(0, 8)}... (${dataSize})`);
+    console.log(`[CACHE ${this.name}] Added: ${id.substring(0, 8)}... (${dataSize}, ~${Math.round(entry.bytes / 1024)} KB)`);
+
+    this.evict();
   }
 
   /**
@@ -81,7 +315,8 @@ export class Cache {
    * @param {string} id - Cache key
    */
   remove(id) {
-    const existed = this.items.delete(id);
+    const existed = this.deleteEntry(id);
+    this.persist('delete', id);
     if (existed) {
       console.log(`[CACHE ${this.name}] Removed: ${id.substring(0, 8)}...`);
     }
@@ -93,6 +328,8 @@ export class Cache {
   clear() {
     const size = this.items.size;
     this.items.clear();
+    this.totalBytes = 0;
+    this.persist('clear');
     console.log(`[CACHE ${this.name}] Cleared ${size} entries`);
   }
 
@@ -111,11 +348,14 @@ export class Cache {
   getStats() {
     const now = Date.now();
     let validEntries = 0;
+    let staleEntries = 0;
     let expiredEntries = 0;
 
     for (const [id, cached] of this.items.entries()) {
-      if (this.isExpired(cached.timestamp)) {
+      if (this.isPastMaxStale(cached.timestamp)) {
         expiredEntries++;
+      } else if (this.isExpired(cached.timestamp)) {
+        staleEntries++;
       } else {
         validEntries++;
       }
@@ -125,22 +365,30 @@ export class Cache {
       name: this.name,
       ttl: this.ttlMs,
       ttlMinutes: Math.round(this.ttlMs / 60000),
+      maxStaleMinutes: Math.round(this.maxStaleMs / 60000),
+      storage: this.storage ? this.storage.type : 'none',
       totalEntries: this.items.size,
       validEntries,
-      expiredEntries
+      staleEntries,
+      expiredEntries,
+      maxEntries: this.maxEntries,
+      estimatedBytes: this.totalBytes,
+      estimatedMB: Math.round(this.totalBytes / 1024 / 1024 * 10) / 10,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
     };
   }
 
   /**
-   * Clean up expired entries (optional maintenance)
+   * Clean up expired entries (runs on a timer, see cleanupIntervalMs)
    */
   cleanup() {
     const before = this.items.size;
-    const now = Date.now();
 
     for (const [id, cached] of this.items.entries()) {
-      if (this.isExpired(cached.timestamp)) {
-        this.items.delete(id);
+      if (this.isPastMaxStale(cached.timestamp)) {
+        this.deleteEntry(id);
+        this.persist('delete', id);
       }
     }
 
@@ -149,6 +397,16 @@ export class Cache {
       console.log(`[CACHE ${this.name}] Cleanup removed ${removed} expired entries`);
     }
   }
+
+  /**
+   * Stop the periodic cleanup timer
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
 }
 
 export default Cache;
@@ -0,0 +1,134 @@
+/**
+ * Campaigns Module
+ *
+ * Handles the account's D&D Beyond campaign directory:
+ * - Lists the active campaigns the Cobalt account belongs to
+ * - Lists each campaign's player characters with level and class summary
+ * - Reports the DM and whether content sharing is enabled
+ *
+ * NOTE: The campaign endpoints live on www.dndbeyond.com and authenticate with
+ * the Cobalt cookie itself rather than a bearer token. The short character list
+ * does not always carry levels and classes, so missing summaries are resolved
+ * from the character service.
+ */
+
+import { upstream } from './upstream.js';
+import { DDB_URLS } from './config.js';
+import { getCobaltHeaders } from './auth.js';
+import { fetchCharacter } from './characters.js';
+
+/**
+ * Fetch a campaign service endpoint and unwrap its {status, data} envelope
+ * @param {string} url - Campaign service URL
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @returns {Promise<Array>} - Response data array
+ */
+async function fetchCampaignData(url, cobaltCookie) {
+  const response = await upstream.fetch(url, { headers: getCobaltHeaders(cobaltCookie) });
+
+  if (!response.ok) {
+    console.warn(`[CAMPAIGNS] Error: ${response.status} ${response.statusText}`);
+    throw new Error(response.status === 401 || response.status === 403
+      ? 'Invalid or expired Cobalt cookie'
+      : `D&D Beyond API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+
+  if (!json.data || !Array.isArray(json.data)) {
+    console.warn('[CAMPAIGNS] Unexpected response format');
+    throw new Error('Unexpected response format from D&D Beyond');
+  }
+
+  return json.data;
+}
+
+/**
+ * Build a class summary string (e.g. "Fighter 5 / Wizard 2")
+ * @param {Array} classes - Classes with name and level
+ * @returns {string|null} - Class summary, or null if no classes
+ */
+function summarizeClasses(classes = []) {
+  if (classes.length === 0) return null;
+  return classes.map(characterClass => `${characterClass.name} ${characterClass.level}`).join(' / ');
+}
+
+/**
+ * Normalize a campaign character, resolving level and classes when missing
+ * @param {object} character - Short character entry from D&D Beyond
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @returns {Promise<object>} - Normalized campaign character
+ */
+async function normalizeCampaignCharacter(character, cobaltCookie) {
+  const id = character.id ?? character.characterId;
+  let level = character.level ?? null;
+  let classSummary = character.classSummary || null;
+
+  if (level === null || !classSummary) {
+    try {
+      const details = await fetchCharacter(id, cobaltCookie);
+      level = details.totalLevel;
+      classSummary = summarizeClasses(details.classes);
+    } catch (error) {
+      // Characters the account can't view still appear, just without a summary
+      console.warn(`[CAMPAIGNS] Could not resolve character ${id}: ${error.message}`);
+    }
+  }
+
+  return {
+    id,
+    name: character.name || character.characterName || 'Unnamed Character',
+    level,
+    classSummary,
+    avatarUrl: character.avatarUrl || null,
+    userId: character.userId ?? null,
+    userName: character.userName || character.username || null
+  };
+}
+
+/**
+ * Fetch all active campaigns for the account, with their player characters
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @returns {Promise<{campaigns: Array}>} - Campaign directory
+ */
+export async function fetchCampaigns(cobaltCookie) {
+  console.log('[CAMPAIGNS] Fetching campaigns from D&D Beyond...');
+
+  try {
+    const rawCampaigns = await fetchCampaignData(DDB_URLS.campaigns(), cobaltCookie);
+    console.log(`[CAMPAIGNS] Found ${rawCampaigns.length} active campaigns`);
+
+    const campaigns = [];
+    for (const campaign of rawCampaigns) {
+      const rawCharacters = await fetchCampaignData(DDB_URLS.campaignCharacters(campaign.id), cobaltCookie);
+
+      const characters = [];
+      for (const character of rawCharacters) {
+        characters.push(await normalizeCampaignCharacter(character, cobaltCookie));
+      }
+
+      campaigns.push({
+        id: campaign.id,
+        name: campaign.name || 'Unnamed Campaign',
+        dm: {
+          id: campaign.dmId ?? null,
+          username: campaign.dmUsername || null
+        },
+        sharingEnabled: campaign.isContentSharingEnabled ?? campaign.contentSharingEnabled ?? null,
+        characters
+      });
+
+      console.log(`[CAMPAIGNS] ${campaign.name}: ${characters.length} characters`);
+    }
+
+    return { campaigns };
+
+  } catch (error) {
+    console.error('[CAMPAIGNS] Fetch failed:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  fetchCampaigns
+};
@@ -0,0 +1,234 @@
+/**
+ * Character Options Module
+ *
+ * Handles fetching and processing character option data from D&D Beyond:
+ * - Fetches feats, species (races) and backgrounds from game-data
+ * - Extracts source book information
+ * - Filters Unearthed Arcana content
+ * - Filters by source book IDs
+ */
+
+import { upstream } from './upstream.js';
+import { DDB_URLS, CONSTANTS } from './config.js';
+import { getAuthHeaders } from './auth.js';
+import { buildSourceMap, extractSourceName } from './sources.js';
+
+// Character option types and their log labels / fallback names
+const OPTION_TYPES = {
+  feats: { label: 'FEATS', fallbackName: 'Unknown Feat' },
+  species: { label: 'SPECIES', fallbackName: 'Unknown Species' },
+  backgrounds: { label: 'BACKGROUNDS', fallbackName: 'Unknown Background' }
+};
+
+/**
+ * Get the sources array of an option (handles both direct and nested formats)
+ * @param {object} option - Option object from D&D Beyond
+ * @returns {Array} - Sources array
+ */
+function getSources(option) {
+  return option.definition?.sources || option.sources || [];
+}
+
+/**
+ * Extract ALL source book names from option sources array
+ * Uses D&D Beyond's config API for accurate source book names
+ * @param {object} option - Option object from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {string} - Comma-separated source book names
+ */
+function extractSourceBook(option, sourceMap) {
+  const sources = getSources(option);
+  const sourceNames = [];
+
+  if (sources.length === 0) return 'Unknown Source';
+
+  // Extract ALL source books (not just the first one)
+  sources.forEach(source => {
+    const sourceName = extractSourceName(source, sourceMap);
+
+    // Add to list if we found a name and it's not already in the list
+    if (sourceName && !sourceNames.includes(sourceName)) {
+      sourceNames.push(sourceName);
+    }
+  });
+
+  return sourceNames.length > 0 ? sourceNames.join(', ') : 'Unknown Source';
+}
+
+/**
+ * Filter out Unearthed Arcana content (sourceId 39)
+ * @param {Array} options - Array of option objects
+ * @returns {Array} - Filtered option array
+ */
+function filterUnearthedArcana(options) {
+  return options.filter(option =>
+    !getSources(option).some(source => source.sourceId === CONSTANTS.EXCLUDED_SOURCE_ID)
+  );
+}
+
+/**
+ * Filter options by source book IDs
+ * @param {Array} options - Array of option objects
+ * @param {Array<number>} sourceBookIds - Array of source book IDs to include
+ * @returns {Array} - Filtered option array
+ */
+function filterBySourceBooks(options, sourceBookIds) {
+  if (!sourceBookIds || sourceBookIds.length === 0) {
+    return options; // No filter, return all
+  }
+
+  // Include option if ANY of its source IDs match the filter
+  return options.filter(option =>
+    getSources(option).some(source => sourceBookIds.includes(source.sourceId))
+  );
+}
+
+/**
+ * Enhance option object with additional metadata
+ * @param {object} option - Original option object from D&D Beyond
+ * @param {string} fallbackName - Name to use if the option has none
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {object} - Enhanced option object
+ */
+function enhanceOptionData(option, fallbackName, sourceMap) {
+  const definition = option.definition || option;
+
+  return {
+    // Preserve all original data
+    ...option,
+
+    // Extract source book name to top level
+    sourceBook: extractSourceBook(option, sourceMap),
+
+    // Ensure id is present
+    id: option.id || definition.id,
+
+    // Ensure name is present (species use fullName for subraces)
+    name: definition.fullName || definition.name || option.name || fallbackName,
+
+    // Ensure description is present
+    description: definition.description || definition.snippet || ''
+  };
+}
+
+/**
+ * Fetch all options of one type from D&D Beyond
+ * @param {string} type - 'feats', 'species' or 'backgrounds'
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options
+ * @param {number|null} options.campaignId - Campaign whose shared content should be included
+ * @param {number} options.sharingSetting - D&D Beyond sharingSetting (default: 2)
+ * @returns {Promise<{entries: Array, sourceStats: object}>} - Enhanced options
+ */
+async function fetchCharacterOptions(type, cobaltCookie, sourceBookIds = null, options = {}) {
+  const {
+    campaignId = null,
+    sharingSetting = CONSTANTS.DEFAULT_SHARING_SETTING
+  } = options;
+  const { label, fallbackName } = OPTION_TYPES[type];
+  const filterMsg = sourceBookIds && sourceBookIds.length > 0
+    ? ` (filtering by source IDs: ${sourceBookIds.join(', ')})`
+    : '';
+  console.log(`[${label}] Fetching ${type} from D&D Beyond${filterMsg}...`);
+
+  try {
+    // Build source map from D&D Beyond config (cached)
+    const sourceMap = await buildSourceMap();
+    console.log(`[${label}] Source map built with ${sourceMap.size} sources`);
+
+    // Get auth headers (with cached bearer token if available)
+    const headers = await getAuthHeaders(cobaltCookie, true);
+
+    const response = await upstream.fetch(DDB_URLS[type](sharingSetting, campaignId), { headers });
+
+    if (!response.ok) {
+      console.warn(`[${label}] Error: ${response.status} ${response.statusText}`);
+      throw new Error(`D&D Beyond API error: ${response.status}`);
+    }
+
+    const json = await response.json();
+
+    // Handle different response formats ({success, data: [...]} or bare array)
+    let entries = json;
+    if (json.data && Array.isArray(json.data)) {
+      entries = json.data;
+    } else if (!Array.isArray(json)) {
+      console.warn(`[${label}] Unexpected response format`);
+      throw new Error('Unexpected response format from D&D Beyond');
+    }
+
+    console.log(`[${label}] Fetched ${entries.length} ${type} from D&D Beyond`);
+
+    // Filter by source books if specified (BEFORE enhancement)
+    if (sourceBookIds && sourceBookIds.length > 0) {
+      entries = filterBySourceBooks(entries, sourceBookIds);
+      console.log(`[${label}] After source filter: ${entries.length} ${type}`);
+    }
+
+    // Enhance each entry with source book information
+    const enhanced = entries.map(entry => enhanceOptionData(entry, fallbackName, sourceMap));
+
+    // Filter out Unearthed Arcana content
+    const filtered = filterUnearthedArcana(enhanced);
+
+    console.log(`[${label}] Total: ${filtered.length} ${type} (${enhanced.length - filtered.length} UA filtered)`);
+
+    const sourceStats = {};
+    for (const entry of filtered) {
+      const source = entry.sourceBook || 'Unknown';
+      sourceStats[source] = (sourceStats[source] || 0) + 1;
+    }
+
+    return {
+      entries: filtered,
+      sourceStats
+    };
+
+  } catch (error) {
+    console.error(`[${label}] Fetch failed:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch all feats from D&D Beyond
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{feats: Array, sourceStats: object}>} - Enhanced feats
+ */
+export async function fetchAllFeats(cobaltCookie, sourceBookIds = null, options = {}) {
+  const { entries, sourceStats } = await fetchCharacterOptions('feats', cobaltCookie, sourceBookIds, options);
+  return { feats: entries, sourceStats };
+}
+
+/**
+ * Fetch all species (races) from D&D Beyond
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{species: Array, sourceStats: object}>} - Enhanced species
+ */
+export async function fetchAllSpecies(cobaltCookie, sourceBookIds = null, options = {}) {
+  const { entries, sourceStats } = await fetchCharacterOptions('species', cobaltCookie, sourceBookIds, options);
+  return { species: entries, sourceStats };
+}
+
+/**
+ * Fetch all backgrounds from D&D Beyond
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{backgrounds: Array, sourceStats: object}>} - Enhanced backgrounds
+ */
+export async function fetchAllBackgrounds(cobaltCookie, sourceBookIds = null, options = {}) {
+  const { entries, sourceStats } = await fetchCharacterOptions('backgrounds', cobaltCookie, sourceBookIds, options);
+  return { backgrounds: entries, sourceStats };
+}
+
+export default {
+  fetchAllFeats,
+  fetchAllSpecies,
+  fetchAllBackgrounds
+};
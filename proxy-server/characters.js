@@ -0,0 +1,354 @@
+/**
+ * Characters Module
+ *
+ * Handles fetching and normalizing D&D Beyond characters:
+ * - Fetches public characters anonymously and private ones with a Cobalt cookie
+ * - Resolves class levels, subclasses and hit points
+ * - Applies racial, class, feat, background and item modifiers to ability scores
+ * - Groups spells by source (class, race, feat, item, background)
+ * - Normalizes inventory, currency and custom actions
+ */
+
+import { upstream } from './upstream.js';
+import { DDB_URLS, CONSTANTS, ABILITY_MAP } from './config.js';
+import { getAuthHeaders } from './auth.js';
+
+// Ability score IDs to the names D&D Beyond uses in modifier subTypes
+const ABILITY_SCORE_NAMES = {
+  1: 'strength',
+  2: 'dexterity',
+  3: 'constitution',
+  4: 'intelligence',
+  5: 'wisdom',
+  6: 'charisma'
+};
+
+// Modifier groups on the character payload (keys of data.modifiers)
+const MODIFIER_SOURCES = ['race', 'class', 'background', 'feat', 'item', 'condition'];
+
+/**
+ * Calculate the ability modifier for a score
+ * @param {number} score - Ability score
+ * @returns {number} - Ability modifier
+ */
+function abilityModifier(score) {
+  return Math.floor((score - 10) / 2);
+}
+
+/**
+ * Find the stat value with a given ability ID in a D&D Beyond stats array
+ * @param {Array} stats - stats, bonusStats or overrideStats array
+ * @param {number} id - Ability ID (1-6)
+ * @returns {number|null} - Stat value, or null if not set
+ */
+function findStatValue(stats = [], id) {
+  return stats.find(stat => stat.id === id)?.value ?? null;
+}
+
+/**
+ * Collect the modifiers that currently apply to the character
+ * Item modifiers only count when the item is equipped (and attuned, if required)
+ * @param {object} character - Raw character data from D&D Beyond
+ * @returns {Array} - Active modifiers
+ */
+function getActiveModifiers(character) {
+  const modifiers = character.modifiers || {};
+  const activeItemIds = new Set(
+    (character.inventory || [])
+      .filter(item => item.equipped &&
+        (!item.definition?.canAttune || item.isAttuned))
+      .map(item => item.definition?.id)
+  );
+
+  return MODIFIER_SOURCES.flatMap(source =>
+    (modifiers[source] || []).filter(modifier =>
+      source !== 'item' || activeItemIds.has(modifier.componentId)
+    )
+  );
+}
+
+/**
+ * Calculate final ability scores with all modifiers applied
+ * Order follows D&D Beyond: override wins, otherwise base + bonus + "bonus"
+ * modifiers, then "set" modifiers raise the score to their value.
+ * @param {object} character - Raw character data from D&D Beyond
+ * @param {Array} modifiers - Active modifiers from getActiveModifiers()
+ * @returns {object} - Abilities keyed by dnd5e key ({str: {score, modifier, base}, ...})
+ */
+function calculateAbilities(character, modifiers) {
+  const abilities = {};
+
+  for (const [id, name] of Object.entries(ABILITY_SCORE_NAMES)) {
+    const abilityId = Number(id);
+    const subType = `${name}-score`;
+    const base = findStatValue(character.stats, abilityId) ?? 10;
+    const override = findStatValue(character.overrideStats, abilityId);
+
+    let score;
+    if (override !== null) {
+      score = override;
+    } else {
+      score = base + (findStatValue(character.bonusStats, abilityId) ?? 0);
+
+      for (const modifier of modifiers) {
+        if (modifier.type === 'bonus' && modifier.subType === subType) {
+          score += modifier.value || 0;
+        }
+      }
+
+      for (const modifier of modifiers) {
+        if (modifier.type === 'set' && modifier.subType === subType && modifier.value > score) {
+          score = modifier.value;
+        }
+      }
+    }
+
+    abilities[ABILITY_MAP[abilityId]] = {
+      score,
+      modifier: abilityModifier(score),
+      base
+    };
+  }
+
+  return abilities;
+}
+
+/**
+ * Resolve class levels and subclasses
+ * @param {object} character - Raw character data from D&D Beyond
+ * @returns {Array} - Normalized classes
+ */
+function normalizeClasses(character) {
+  return (character.classes || []).map(characterClass => ({
+    id: characterClass.id,
+    classId: characterClass.definition?.id ?? null,
+    name: characterClass.definition?.name || 'Unknown Class',
+    level: characterClass.level || 0,
+    subclass: characterClass.subclassDefinition?.name || null,
+    subclassId: characterClass.subclassDefinition?.id ?? null,
+    hitDie: characterClass.definition?.hitDice ?? null,
+    isStartingClass: characterClass.isStartingClass === true
+  }));
+}
+
+/**
+ * Calculate hit points
+ * @param {object} character - Raw character data from D&D Beyond
+ * @param {object} abilities - Abilities from calculateAbilities()
+ * @param {number} totalLevel - Total character level
+ * @param {Array} modifiers - Active modifiers from getActiveModifiers()
+ * @returns {object} - {max, current, temp, removed}
+ */
+function calculateHitPoints(character, abilities, totalLevel, modifiers) {
+  const perLevelBonus = modifiers
+    .filter(modifier => modifier.type === 'bonus' && modifier.subType === 'hit-points-per-level')
+    .reduce((total, modifier) => total + (modifier.value || 0), 0);
+
+  const max = character.overrideHitPoints ??
+    (character.baseHitPoints || 0) +
+    (character.bonusHitPoints || 0) +
+    (abilities.con.modifier + perLevelBonus) * totalLevel;
+
+  const removed = character.removedHitPoints || 0;
+
+  return {
+    max,
+    current: Math.max(max - removed, 0),
+    temp: character.temporaryHitPoints || 0,
+    removed
+  };
+}
+
+/**
+ * Normalize a character spell entry
+ * @param {object} spell - Spell entry from D&D Beyond
+ * @param {string} source - Spell source ('class', 'race', 'feat', 'item', 'background')
+ * @param {string|null} className - Class name for class spells
+ * @returns {object} - Normalized spell
+ */
+function normalizeSpell(spell, source, className = null) {
+  const definition = spell.definition || {};
+
+  return {
+    id: definition.id ?? spell.id,
+    name: definition.name || 'Unknown Spell',
+    level: definition.level ?? 0,
+    school: definition.school || null,
+    source,
+    className,
+    prepared: spell.prepared === true || spell.alwaysPrepared === true,
+    alwaysPrepared: spell.alwaysPrepared === true,
+    usesSpellSlot: spell.usesSpellSlot !== false,
+    componentId: spell.componentId ?? null,
+    limitedUse: spell.limitedUse || null,
+    definition
+  };
+}
+
+/**
+ * Group the character's spells by source
+ * @param {object} character - Raw character data from D&D Beyond
+ * @param {Array} classes - Normalized classes from normalizeClasses()
+ * @returns {object} - {class: [], race: [], feat: [], item: [], background: []}
+ */
+function groupSpells(character, classes) {
+  const classNames = new Map(classes.map(characterClass => [characterClass.id, characterClass.name]));
+  const otherSpells = character.spells || {};
+
+  return {
+    class: (character.classSpells || []).flatMap(entry =>
+      (entry.spells || []).map(spell =>
+        normalizeSpell(spell, 'class', classNames.get(entry.characterClassId) || null)
+      )
+    ),
+    race: (otherSpells.race || []).map(spell => normalizeSpell(spell, 'race')),
+    feat: (otherSpells.feat || []).map(spell => normalizeSpell(spell, 'feat')),
+    item: (otherSpells.item || []).map(spell => normalizeSpell(spell, 'item')),
+    background: (otherSpells.background || []).map(spell => normalizeSpell(spell, 'background'))
+  };
+}
+
+/**
+ * Normalize inventory entries, keeping the full item definition
+ * @param {Array} inventory - Inventory from D&D Beyond
+ * @returns {Array} - Normalized inventory
+ */
+function normalizeInventory(inventory = []) {
+  return inventory.map(item => ({
+    id: item.id,
+    definitionId: item.definition?.id ?? null,
+    name: item.definition?.name || 'Unknown Item',
+    type: item.definition?.filterType || item.definition?.type || null,
+    quantity: item.quantity ?? 1,
+    equipped: item.equipped === true,
+    attuned: item.isAttuned === true,
+    requiresAttunement: item.definition?.canAttune === true,
+    containerId: item.containerEntityId ?? null,
+    charges: item.limitedUse || null,
+    definition: item.definition || null
+  }));
+}
+
+/**
+ * Normalize custom actions created on the character sheet
+ * @param {Array} customActions - customActions from D&D Beyond
+ * @returns {Array} - Normalized custom actions
+ */
+function normalizeCustomActions(customActions = []) {
+  return customActions.map(action => ({
+    id: action.id,
+    name: action.name || 'Custom Action',
+    description: action.description || '',
+    snippet: action.snippet || '',
+    actionType: action.actionType ?? null,
+    activationType: action.activation?.activationType ?? action.activationType ?? null,
+    range: action.range ?? null,
+    damage: action.diceCount
+      ? {
+          diceCount: action.diceCount,
+          diceType: action.diceType,
+          fixedValue: action.fixedValue ?? null,
+          damageTypeId: action.damageTypeId ?? null
+        }
+      : null
+  }));
+}
+
+/**
+ * Normalize a raw D&D Beyond character payload
+ * @param {object} character - Raw character data from D&D Beyond
+ * @returns {object} - Normalized character
+ */
+export function normalizeCharacter(character) {
+  const modifiers = getActiveModifiers(character);
+  const classes = normalizeClasses(character);
+  const totalLevel = classes.reduce((total, characterClass) => total + characterClass.level, 0);
+  const abilities = calculateAbilities(character, modifiers);
+  const currencies = character.currencies || {};
+
+  return {
+    id: character.id,
+    name: character.name || 'Unnamed Character',
+    avatarUrl: character.decorations?.avatarUrl || character.avatarUrl || null,
+    race: character.race
+      ? {
+          name: character.race.fullName || character.race.baseRaceName || null,
+          baseName: character.race.baseRaceName || null,
+          isSubRace: character.race.isSubRace === true
+        }
+      : null,
+    background: character.background?.definition?.name || null,
+    classes,
+    totalLevel,
+    abilities,
+    hitPoints: calculateHitPoints(character, abilities, totalLevel, modifiers),
+    currency: {
+      cp: currencies.cp || 0,
+      sp: currencies.sp || 0,
+      ep: currencies.ep || 0,
+      gp: currencies.gp || 0,
+      pp: currencies.pp || 0
+    },
+    inventory: normalizeInventory(character.inventory),
+    spells: groupSpells(character, classes),
+    customActions: normalizeCustomActions(character.customActions)
+  };
+}
+
+/**
+ * Fetch and normalize a character from D&D Beyond
+ * Public characters can be fetched without a cookie; private characters need
+ * the owner's (or their DM's) Cobalt cookie.
+ *
+ * @param {number|string} characterId - D&D Beyond character ID
+ * @param {string|null} cobaltCookie - Optional D&D Beyond session cookie
+ * @returns {Promise<object>} - Normalized character
+ * @throws {Error} - With a `status` property (403 private, 404 not found) on upstream errors
+ */
+export async function fetchCharacter(characterId, cobaltCookie = null) {
+  console.log(`[CHARACTER] Fetching character ${characterId}${cobaltCookie ? '' : ' (public)'}...`);
+
+  try {
+    // Anonymous requests only work for characters shared publicly
+    const headers = cobaltCookie
+      ? await getAuthHeaders(cobaltCookie, true)
+      : { 'User-Agent': CONSTANTS.USER_AGENT, 'Accept': 'application/json' };
+
+    const response = await upstream.fetch(DDB_URLS.character(characterId), { headers });
+
+    if (!response.ok) {
+      console.warn(`[CHARACTER] Error: ${response.status} ${response.statusText}`);
+
+      const error = new Error(response.status === 404
+        ? `Character ${characterId} not found`
+        : response.status === 401 || response.status === 403
+          ? `Character ${characterId} is private${cobaltCookie ? ' or not shared with this account' : '; a Cobalt cookie is required'}`
+          : `D&D Beyond API error: ${response.status}`);
+      error.status = response.status === 401 ? 403 : response.status;
+      throw error;
+    }
+
+    const json = await response.json();
+
+    // Character service wraps the payload in {success, data}
+    const character = json.data || json;
+    if (!character || !character.id) {
+      console.warn('[CHARACTER] Unexpected response format');
+      throw new Error('Unexpected response format from D&D Beyond');
+    }
+
+    const normalized = normalizeCharacter(character);
+    console.log(`[CHARACTER] Normalized ${normalized.name} (level ${normalized.totalLevel})`);
+
+    return normalized;
+
+  } catch (error) {
+    console.error('[CHARACTER] Fetch failed:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  fetchCharacter,
+  normalizeCharacter
+};
@@ -0,0 +1,388 @@
+/**
+ * Classes Module
+ *
+ * Handles fetching and normalizing class and subclass definitions from D&D Beyond:
+ * - Fetches class definitions (hit dice, proficiencies, features, spell rules)
+ * - Fetches subclasses per base class (owned, campaign-shared and homebrew)
+ * - Normalizes features by level and spell slot progression so clients can
+ *   build dnd5e advancement from them
+ * - Filters Unearthed Arcana content
+ */
+
+import { upstream } from './upstream.js';
+import { DDB_URLS, CONSTANTS, ABILITY_MAP } from './config.js';
+import { getAuthHeaders } from './auth.js';
+import { buildSourceMap, extractSourceName } from './sources.js';
+
+// Ability names as used in proficiency modifier names -> dnd5e ability keys
+const ABILITY_NAMES = {
+  strength: 'str',
+  dexterity: 'dex',
+  constitution: 'con',
+  intelligence: 'int',
+  wisdom: 'wis',
+  charisma: 'cha'
+};
+
+// dnd5e spellcasting progression by multiclass spell slot divisor
+const SPELLCASTING_PROGRESSION = {
+  1: 'full',
+  2: 'half',
+  3: 'third'
+};
+
+/**
+ * Extract ALL source book names from a sources array
+ * @param {Array} sources - Sources array from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {string} - Comma-separated source book names
+ */
+function extractSourceBook(sources, sourceMap) {
+  const sourceNames = [];
+
+  if (!sources || sources.length === 0) return 'Unknown Source';
+
+  sources.forEach(source => {
+    const sourceName = extractSourceName(source, sourceMap);
+    if (sourceName && !sourceNames.includes(sourceName)) {
+      sourceNames.push(sourceName);
+    }
+  });
+
+  return sourceNames.length > 0 ? sourceNames.join(', ') : 'Unknown Source';
+}
+
+/**
+ * Check whether a definition comes from Unearthed Arcana (sourceId 39)
+ * @param {object} definition - Class or subclass definition
+ * @returns {boolean} - True if UA
+ */
+function isUnearthedArcana(definition) {
+  return (definition.sources || []).some(source =>
+    source.sourceId === CONSTANTS.EXCLUDED_SOURCE_ID
+  );
+}
+
+/**
+ * Normalize class features into a level-ordered list
+ * @param {Array} features - classFeatures from D&D Beyond
+ * @returns {Array<{id: number, name: string, level: number, description: string}>}
+ */
+function normalizeFeatures(features = []) {
+  return features
+    .map(feature => {
+      const definition = feature.definition || feature;
+      return {
+        id: definition.id,
+        name: definition.name,
+        level: definition.requiredLevel || 1,
+        description: definition.description || definition.snippet || '',
+        displayOrder: definition.displayOrder ?? 0
+      };
+    })
+    .sort((a, b) => a.level - b.level || a.displayOrder - b.displayOrder);
+}
+
+/**
+ * Group normalized features by the level they are gained
+ * @param {Array} features - Normalized features
+ * @returns {object} - level -> feature names
+ */
+function groupFeaturesByLevel(features) {
+  const byLevel = {};
+  for (const feature of features) {
+    (byLevel[feature.level] = byLevel[feature.level] || []).push(feature.name);
+  }
+  return byLevel;
+}
+
+/**
+ * Normalize spell rules into a dnd5e-style spellcasting block
+ * @param {object} definition - Class or subclass definition
+ * @returns {object|null} - Spellcasting data, or null for non-casters
+ */
+function normalizeSpellcasting(definition) {
+  const rules = definition.spellRules;
+
+  if (!definition.canCastSpells || !rules) {
+    return null;
+  }
+
+  const isPactMagic = definition.name === 'Warlock' || rules.isPactMagic === true;
+
+  // levelSpellSlots is indexed by class level (index 0 is unused)
+  const slots = {};
+  (rules.levelSpellSlots || []).forEach((levelSlots, level) => {
+    if (level > 0 && Array.isArray(levelSlots)) {
+      slots[level] = levelSlots;
+    }
+  });
+
+  return {
+    ability: ABILITY_MAP[definition.spellCastingAbilityId] || null,
+    progression: isPactMagic
+      ? 'pact'
+      : SPELLCASTING_PROGRESSION[rules.multiClassSpellSlotDivisor] || 'none',
+    ritualCasting: rules.isRitualSpellCaster === true,
+    slots,
+    cantripsKnown: (rules.levelCantripsKnownMaxes || []).slice(1),
+    spellsKnown: (rules.levelSpellKnownMaxes || []).slice(1)
+  };
+}
+
+/**
+ * Collect proficiencies from a definition's proficiency modifiers
+ * @param {object} definition - Class definition
+ * @returns {{armor: Array, weapons: Array, tools: Array, savingThrows: Array}}
+ */
+function normalizeProficiencies(definition) {
+  const proficiencies = { armor: [], weapons: [], tools: [], savingThrows: [] };
+
+  const modifiers = [
+    ...(definition.modifiers || []),
+    ...(definition.classFeatures || []).flatMap(feature =>
+      (feature.definition || feature).modifiers || []
+    )
+  ].filter(modifier => modifier.type === 'proficiency');
+
+  for (const modifier of modifiers) {
+    const name = modifier.friendlySubtypeName || modifier.subType;
+    if (!name) continue;
+
+    let list;
+    if (/saving throws?$/i.test(name)) {
+      const ability = ABILITY_NAMES[name.split(' ')[0].toLowerCase()];
+      if (ability && !proficiencies.savingThrows.includes(ability)) {
+        proficiencies.savingThrows.push(ability);
+      }
+      continue;
+    } else if (/armor|shields?$/i.test(name)) {
+      list = proficiencies.armor;
+    } else if (/weapons?$/i.test(name)) {
+      list = proficiencies.weapons;
+    } else {
+      list = proficiencies.tools;
+    }
+
+    if (!list.includes(name)) {
+      list.push(name);
+    }
+  }
+
+  return proficiencies;
+}
+
+/**
+ * Normalize a class definition
+ * @param {object} classData - Class object from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {object} - Normalized class
+ */
+function normalizeClass(classData, sourceMap) {
+  const definition = classData.definition || classData;
+  const features = normalizeFeatures(definition.classFeatures);
+
+  return {
+    id: definition.id,
+    name: definition.name || 'Unknown Class',
+    description: definition.description || '',
+    sourceBook: extractSourceBook(definition.sources, sourceMap),
+    sources: definition.sources || [],
+    isHomebrew: definition.isHomebrew === true,
+    hitDie: definition.hitDice ? `d${definition.hitDice}` : null,
+    primaryAbilities: (definition.primaryAbilities || []).map(id => ABILITY_MAP[id]).filter(Boolean),
+    proficiencies: normalizeProficiencies(definition),
+    equipmentDescription: definition.equipmentDescription || '',
+    spellcasting: normalizeSpellcasting(definition),
+    features,
+    featuresByLevel: groupFeaturesByLevel(features)
+  };
+}
+
+/**
+ * Normalize a subclass definition
+ * @param {object} subclass - Subclass object from D&D Beyond
+ * @param {{id: number, name: string}} baseClass - The base class it belongs to
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {object} - Normalized subclass
+ */
+function normalizeSubclass(subclass, baseClass, sourceMap) {
+  const definition = subclass.definition || subclass;
+  const features = normalizeFeatures(definition.classFeatures);
+
+  return {
+    id: definition.id,
+    name: definition.name || 'Unknown Subclass',
+    description: definition.description || '',
+    classId: baseClass.id,
+    className: baseClass.name,
+    sourceBook: extractSourceBook(definition.sources, sourceMap),
+    sources: definition.sources || [],
+    isHomebrew: definition.isHomebrew === true,
+    spellListIds: definition.spellListIds || [],
+    spellcasting: normalizeSpellcasting(definition),
+    features,
+    featuresByLevel: groupFeaturesByLevel(features)
+  };
+}
+
+/**
+ * Filter normalized definitions by source book IDs
+ * @param {Array} definitions - Normalized classes or subclasses
+ * @param {Array<number>} sourceBookIds - Source book IDs to include
+ * @returns {Array} - Filtered definitions
+ */
+function filterBySourceBooks(definitions, sourceBookIds) {
+  if (!sourceBookIds || sourceBookIds.length === 0) {
+    return definitions;
+  }
+
+  return definitions.filter(definition =>
+    definition.isHomebrew ||
+    definition.sources.some(source => sourceBookIds.includes(source.sourceId))
+  );
+}
+
+/**
+ * Fetch raw subclass definitions for every base class
+ * Shared by the classes, spells and homebrew modules
+ *
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {object} options - Optional sharing options
+ * @param {number|null} options.campaignId - Campaign whose shared content should be included
+ * @param {number} options.sharingSetting - D&D Beyond sharingSetting (default: 2)
+ * @returns {Promise<{subclasses: Array<{baseClass: {id: number, name: string}, subclass: object}>, failures: Array}>}
+ *   Raw subclasses, plus the classes whose subclasses could not be fetched
+ */
+export async function fetchRawSubclasses(cobaltCookie, options = {}) {
+  const {
+    campaignId = null,
+    sharingSetting = CONSTANTS.DEFAULT_SHARING_SETTING
+  } = options;
+
+  // Get auth headers (with cached bearer token if available)
+  const headers = await getAuthHeaders(cobaltCookie, true);
+
+  const failures = [];
+  const recordFailure = (baseClass, message, status = null) => {
+    console.warn(`[CLASSES] ${baseClass.name} subclasses failed: ${message}`);
+    failures.push({ source: `${baseClass.name} subclasses`, status, message });
+    return [];
+  };
+
+  const classResults = await Promise.all(
+    CONSTANTS.SPELLCASTING_CLASSES.map(async baseClass => {
+      try {
+        const response = await upstream.fetch(DDB_URLS.subclasses(baseClass.id, sharingSetting, campaignId), { headers });
+
+        if (!response.ok) {
+          return recordFailure(baseClass, `D&D Beyond API error: ${response.status} ${response.statusText}`, response.status);
+        }
+
+        const json = await response.json();
+
+        if (!json.success || !Array.isArray(json.data)) {
+          return recordFailure(baseClass, 'Invalid subclass data from D&D Beyond');
+        }
+
+        return json.data.map(subclass => ({ baseClass, subclass }));
+
+      } catch (error) {
+        return recordFailure(baseClass, error.message, error.status || null);
+      }
+    })
+  );
+
+  return { subclasses: classResults.flat(), failures };
+}
+
+/**
+ * Fetch all class definitions from D&D Beyond
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{classes: Array}>} - Normalized classes
+ */
+export async function fetchAllClasses(cobaltCookie, sourceBookIds = null, options = {}) {
+  const {
+    campaignId = null,
+    sharingSetting = CONSTANTS.DEFAULT_SHARING_SETTING
+  } = options;
+  console.log('[CLASSES] Fetching classes from D&D Beyond...');
+
+  try {
+    const sourceMap = await buildSourceMap();
+
+    // Get auth headers (with cached bearer token if available)
+    const headers = await getAuthHeaders(cobaltCookie, true);
+
+    const response = await upstream.fetch(DDB_URLS.classes(sharingSetting, campaignId), { headers });
+
+    if (!response.ok) {
+      console.warn(`[CLASSES] Error: ${response.status} ${response.statusText}`);
+      throw new Error(`D&D Beyond API error: ${response.status}`);
+    }
+
+    const json = await response.json();
+
+    // Handle different response formats ({success, data: [...]} or bare array)
+    let classes = json;
+    if (json.data && Array.isArray(json.data)) {
+      classes = json.data;
+    } else if (!Array.isArray(json)) {
+      console.warn('[CLASSES] Unexpected response format');
+      throw new Error('Unexpected response format from D&D Beyond');
+    }
+
+    const normalized = classes
+      .filter(classData => !isUnearthedArcana(classData.definition || classData))
+      .map(classData => normalizeClass(classData, sourceMap));
+
+    const filtered = filterBySourceBooks(normalized, sourceBookIds);
+
+    console.log(`[CLASSES] Total: ${filtered.length} classes`);
+
+    return { classes: filtered };
+
+  } catch (error) {
+    console.error('[CLASSES] Fetch failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch all subclass definitions from D&D Beyond
+ * Includes subclasses from owned books, campaign-shared books and homebrew
+ *
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{subclasses: Array, failures: Array}>} - Normalized subclasses, plus classes that failed
+ * @throws {Error} - If every class failed
+ */
+export async function fetchAllSubclasses(cobaltCookie, sourceBookIds = null, options = {}) {
+  console.log(`[CLASSES] Fetching subclasses for ${CONSTANTS.SPELLCASTING_CLASSES.length} classes...`);
+
+  const sourceMap = await buildSourceMap();
+  const { subclasses: rawSubclasses, failures } = await fetchRawSubclasses(cobaltCookie, options);
+
+  if (failures.length === CONSTANTS.SPELLCASTING_CLASSES.length) {
+    throw new Error(`Subclass fetch failed for every class: ${failures[0].message}`);
+  }
+
+  const normalized = rawSubclasses
+    .filter(({ subclass }) => !isUnearthedArcana(subclass.definition || subclass))
+    .map(({ baseClass, subclass }) => normalizeSubclass(subclass, baseClass, sourceMap));
+
+  const filtered = filterBySourceBooks(normalized, sourceBookIds);
+
+  console.log(`[CLASSES] Total: ${filtered.length} subclasses`);
+
+  return { subclasses: filtered, failures };
+}
+
+export default {
+  fetchRawSubclasses,
+  fetchAllClasses,
+  fetchAllSubclasses
+};
@@ -9,21 +9,72 @@ export const DDB_URLS = {
   authService: 'https://auth-service.dndbeyond.com/v1',
   characterService: 'https://character-service.dndbeyond.com/character/v5',
   monsterService: 'https://monster-service.dndbeyond.com/v1/Monster',
+  campaignService: 'https://www.dndbeyond.com/api/campaign/stt',
 
   // Game data endpoints
-  items: (sharingSetting = 2) =>
-    `${DDB_URLS.characterService}/game-data/items?sharingSetting=${sharingSetting}`,
+  // campaignId includes content shared through that D&D Beyond campaign
+  items: (sharingSetting = 2, campaignId = null) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/items?sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  // Character options (feats, species and backgrounds)
+  feats: (sharingSetting = 2, campaignId = null) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/feats?sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  species: (sharingSetting = 2, campaignId = null) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/races?sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  backgrounds: (sharingSetting = 2, campaignId = null) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/backgrounds?sharingSetting=${sharingSetting}${campaign}`;
+  },
 
   // Spells by class (correct D&D Beyond API format)
-  spells: (classId, classLevel = 20, campaignId = null) => {
+  spells: (classId, classLevel = 20, campaignId = null, sharingSetting = 2) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/spells?classId=${classId}&classLevel=${classLevel}&sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  // Vehicle stat blocks (ships, infernal war machines, spelljammers)
+  vehicles: (sharingSetting = 2, campaignId = null) => {
     const campaign = campaignId ? `&campaignId=${campaignId}` : '';
-    return `${DDB_URLS.characterService}/game-data/spells?classId=${classId}&classLevel=${classLevel}&sharingSetting=2${campaign}`;
+    return `${DDB_URLS.characterService}/game-data/vehicles?sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  // Class definitions (features, spell rules, proficiencies)
+  classes: (sharingSetting = 2, campaignId = null) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/classes?sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  // Always-prepared spells by class (domain, oath and circle spells, tagged with spellListId)
+  alwaysPreparedSpells: (classId, classLevel = 20, campaignId = null, sharingSetting = 2) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/always-prepared-spells?classId=${classId}&classLevel=${classLevel}&sharingSetting=${sharingSetting}${campaign}`;
+  },
+
+  // Subclasses for a base class (includes collected homebrew, flagged isHomebrew)
+  subclasses: (classId, sharingSetting = 2, campaignId = null) => {
+    const campaign = campaignId ? `&campaignId=${campaignId}` : '';
+    return `${DDB_URLS.characterService}/game-data/subclass?baseClassId=${classId}&sharingSetting=${sharingSetting}${campaign}`;
   },
 
   character: (characterId) =>
     `${DDB_URLS.characterService}/character/${characterId}`,
 
-  // Monster endpoints (for future use)
+  // Campaign endpoints (authenticated with the Cobalt cookie directly)
+  campaigns: () =>
+    `${DDB_URLS.campaignService}/active-campaigns`,
+
+  campaignCharacters: (campaignId) =>
+    `${DDB_URLS.campaignService}/active-short-characters/${campaignId}`,
+
+  // Monster endpoints
   monsters: (skip, take, search = '', showHomebrew = false, sources = []) => {
     const homebrewParam = showHomebrew ? '&showHomebrew=t' : '&showHomebrew=f';
     const sourceParams = sources.map(s => `&sources=${s}`).join('');
@@ -42,7 +93,82 @@ export const CACHE_TTL = {
   CONFIG: 60 * 60 * 1000,     // 1 hour - configuration data
   DATA: 60 * 60 * 1000,       // 1 hour - items, spells, monsters
   SPELLS: 60 * 60 * 1000,     // 1 hour - spell data
-  ITEMS: 60 * 60 * 1000       // 1 hour - item data
+  ITEMS: 60 * 60 * 1000,      // 1 hour - item data
+  MONSTERS: 60 * 60 * 1000,   // 1 hour - monster data
+  HOMEBREW: 15 * 60 * 1000,   // 15 minutes - homebrew changes more often than books
+  CHARACTER_OPTIONS: 60 * 60 * 1000, // 1 hour - feats, species, backgrounds
+  CLASSES: 60 * 60 * 1000,    // 1 hour - class and subclass definitions
+  VEHICLES: 60 * 60 * 1000,   // 1 hour - vehicle stat blocks
+  CAMPAIGNS: 10 * 60 * 1000,  // 10 minutes - campaign membership and party rosters
+  MAX_STALE: 6 * 60 * 60 * 1000 // 6 hours - how long past TTL content may be served while refreshing
+};
+
+// Cache storage backend (environment-configured)
+export const CACHE_STORAGE = {
+  BACKEND: process.env.CACHE_BACKEND || 'memory',  // 'memory', 'file' or 'redis'
+  DIR: process.env.CACHE_DIR || '.cache',          // Directory for the file backend
+  SECRET: process.env.CACHE_SECRET || null,        // Encrypts per-account entries at rest
+  REDIS_URL: process.env.REDIS_URL || null,        // Connection URL for the redis backend
+  REDIS_PREFIX: process.env.REDIS_PREFIX || 'ddb-proxy:' // Key prefix (lets instances share one server)
+};
+
+// Per-cache memory limits (least recently used entries are evicted past either limit)
+export const CACHE_LIMITS = {
+  MAX_ENTRIES: Number(process.env.CACHE_MAX_ENTRIES) || 500,
+  MAX_BYTES: (Number(process.env.CACHE_MAX_MB) || 64) * 1024 * 1024,
+  CLEANUP_INTERVAL: 5 * 60 * 1000  // 5 minutes - sweep expired entries
+};
+
+// Asynchronous fetch jobs (POST /api/jobs)
+export const JOBS = {
+  TTL: (Number(process.env.JOB_TTL_MINUTES) || 30) * 60 * 1000, // Finished jobs (and results) are kept this long
+  MAX_ACTIVE_PER_ACCOUNT: 3,        // Pending/running jobs allowed per account
+  MAX_FINISHED_PER_ACCOUNT: 5,      // Finished jobs (and results) kept per account; the oldest go first
+  CLEANUP_INTERVAL: 60 * 1000       // 1 minute - sweep expired jobs
+};
+
+// Proxy session tokens (POST /api/session)
+export const SESSIONS = {
+  SECRET: process.env.SESSION_SECRET || null,   // Signs proxy tokens (random per process when unset)
+  REQUIRE_SECRET: process.env.NODE_ENV === 'production', // Refuse to start without SESSION_SECRET
+  TTL: (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000, // Token lifetime (refreshable)
+  MAX_PER_ACCOUNT: 5,               // Sessions kept per account (oldest revoked first)
+  CLEANUP_INTERVAL: 5 * 60 * 1000   // 5 minutes - sweep expired sessions
+};
+
+// Deployment access control (see access.js)
+export const ACCESS = {
+  MODE: process.env.DEPLOYMENT_MODE === 'private' ? 'private' : 'public', // 'public' allows any origin
+  ALLOWED_ORIGINS: (process.env.ALLOWED_ORIGINS || '')             // Comma-separated, e.g. https://foundry.example.com
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, '').toLowerCase())
+    .filter(Boolean),
+  REJECT_UNLISTED_ORIGINS: process.env.REJECT_UNLISTED_ORIGINS === 'true', // Private mode: 403 instead of just no CORS headers
+  API_KEY: process.env.PROXY_API_KEY || null                        // Shared key required in X-API-Key on /api requests
+};
+
+// Layered rate limits (see rate-limits.js), per 15-minute window
+export const RATE_LIMITS = {
+  WINDOW: 15 * 60 * 1000,
+  PER_IP: Number(process.env.RATE_LIMIT_PER_IP) || 1000,           // All /api requests per client IP
+  PER_ACCOUNT: Number(process.env.RATE_LIMIT_PER_ACCOUNT) || 1000, // All /api requests per D&D Beyond account
+  // Requests that reach D&D Beyond (cache hits are refunded), per account and endpoint class
+  UPSTREAM: {
+    content: Number(process.env.RATE_LIMIT_CONTENT) || 200,       // /api/content/*, /api/jobs
+    character: Number(process.env.RATE_LIMIT_CHARACTER) || 200,   // /api/character/*, /api/characters/:id
+    campaigns: Number(process.env.RATE_LIMIT_CAMPAIGNS) || 60,    // /api/campaigns
+    auth: Number(process.env.RATE_LIMIT_AUTH) || 30               // /api/session, /api/validate-cookie
+  }
+};
+
+// Requests to D&D Beyond (see upstream.js)
+export const UPSTREAM = {
+  MAX_CONCURRENT: Number(process.env.UPSTREAM_CONCURRENCY) || 6, // Requests in flight at once
+  MAX_RETRIES: 3,                   // Retries after the first attempt
+  BASE_DELAY: 500,                  // First backoff delay in ms (doubles per retry)
+  MAX_DELAY: 30 * 1000,             // Longest wait before a retry (a longer Retry-After is not retried)
+  FAILURE_THRESHOLD: 5,             // Consecutive failed requests that open the circuit
+  COOLDOWN: 30 * 1000               // How long the circuit stays open
 };
 
 // D&D Beyond Content Constants
@@ -53,12 +179,28 @@ export const CONSTANTS = {
   // API pagination limits
   MONSTER_PAGE_SIZE: 100,     // D&D Beyond API limit for monsters
 
+  // Safety limit on monster pages per fetch (100 pages x 100 = 10,000 monsters)
+  MONSTER_MAX_PAGES: 100,
+
+  // Maximum number of ids accepted by the batch details endpoint
+  MAX_DETAIL_BATCH_SIZE: 2000,
+
+  // Paginated item/spell responses (page/pageSize or cursor)
+  DEFAULT_PAGE_SIZE: 250,
+  MAX_PAGE_SIZE: 1000,
+
   // Request timeout (30 seconds)
   REQUEST_TIMEOUT: 30000,
 
   // User agent for API requests
   USER_AGENT: 'Foundry-VTT-DDB-Importer/1.1.0',
 
+  // Default content sharing setting (2 = all content shared with the account)
+  DEFAULT_SHARING_SETTING: 2,
+
+  // Valid D&D Beyond sharingSetting values
+  SHARING_SETTINGS: [0, 1, 2],
+
   // Max class level for fetching all available spells
   MAX_CLASS_LEVEL: 20,
 
@@ -99,6 +241,16 @@ export const CLASS_MAP = {
   14: 'Blood Hunter'
 };
 
+// Ability score IDs to dnd5e ability keys
+export const ABILITY_MAP = {
+  1: 'str',
+  2: 'dex',
+  3: 'con',
+  4: 'int',
+  5: 'wis',
+  6: 'cha'
+};
+
 // Spell school IDs to names mapping
 export const SPELL_SCHOOL_MAP = {
   1: 'Abjuration',
@@ -111,6 +263,44 @@ export const SPELL_SCHOOL_MAP = {
   8: 'Transmutation'
 };
 
+// Monster size IDs to names mapping
+export const MONSTER_SIZE_MAP = {
+  2: 'Tiny',
+  3: 'Small',
+  4: 'Medium',
+  5: 'Large',
+  6: 'Huge',
+  7: 'Gargantuan'
+};
+
+// Monster creature type IDs to names mapping
+export const MONSTER_TYPE_MAP = {
+  1: 'Aberration',
+  2: 'Beast',
+  3: 'Celestial',
+  4: 'Construct',
+  6: 'Dragon',
+  7: 'Elemental',
+  8: 'Fey',
+  9: 'Fiend',
+  10: 'Giant',
+  11: 'Humanoid',
+  13: 'Monstrosity',
+  14: 'Ooze',
+  15: 'Plant',
+  16: 'Undead'
+};
+
+// Monster challenge rating IDs to numeric CR values
+// IDs 1-4 are the fractional ratings, from ID 5 onwards CR = ID - 4
+export const CHALLENGE_RATING_MAP = {
+  1: 0,
+  2: 0.125,
+  3: 0.25,
+  4: 0.5,
+  ...Object.fromEntries(Array.from({ length: 30 }, (_, i) => [i + 5, i + 1]))
+};
+
 // Item rarity IDs to names mapping
 // IMPORTANT: Mundane (0) is different from Common (1)!
 // Mundane = non-magical items (rope, torches, basic weapons)
@@ -172,9 +362,20 @@ export const SOURCE_BOOK_MAP = {
 export default {
   DDB_URLS,
   CACHE_TTL,
+  CACHE_STORAGE,
+  CACHE_LIMITS,
+  JOBS,
+  SESSIONS,
+  ACCESS,
+  RATE_LIMITS,
+  UPSTREAM,
   CONSTANTS,
   CLASS_MAP,
+  ABILITY_MAP,
   SPELL_SCHOOL_MAP,
+  MONSTER_SIZE_MAP,
+  MONSTER_TYPE_MAP,
+  CHALLENGE_RATING_MAP,
   RARITY_MAP,
   SOURCE_BOOK_MAP
 };
@@ -0,0 +1,75 @@
+/**
+ * ETag / Conditional Request Support
+ *
+ * Content responses carry a strong ETag computed from the serialized body, so a
+ * client that already holds the same payload can send it back in If-None-Match
+ * and get an empty 304 instead of the full (often multi-megabyte) list.
+ *
+ * The content routes are POSTs (the Cobalt cookie travels in the body), which
+ * Express never treats as conditional, so the check is done here.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compute a stable ETag for a serialized response body
+ * @param {string} body - Serialized JSON body
+ * @returns {string} - Quoted strong ETag
+ */
+export function computeETag(body) {
+  const hash = crypto.createHash('sha256').update(body).digest('base64url');
+  return `"${hash.substring(0, 32)}"`;
+}
+
+/**
+ * Check whether an If-None-Match header matches an ETag
+ * @param {string|undefined} header - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - Whether the client's copy is current
+ */
+export function matchesETag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  // Weak comparison: W/"x" matches "x"
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+/**
+ * Middleware: tag successful JSON responses and answer matching
+ * If-None-Match requests with 304 Not Modified
+ */
+export function conditionalJson(req, res, next) {
+  res.json = (data) => {
+    const body = JSON.stringify(data);
+
+    // Only successful responses are worth revalidating
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.type('json');
+      return res.send(body);
+    }
+
+    const etag = computeETag(body);
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+
+    if (matchesETag(req.get('If-None-Match'), etag)) {
+      console.log(`[ETAG] Not modified: ${req.path}`);
+      return res.status(304).end();
+    }
+
+    res.type('json');
+    return res.send(body);
+  };
+
+  next();
+}
+
+export default {
+  computeETag,
+  matchesETag,
+  conditionalJson
+};
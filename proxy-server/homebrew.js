@@ -0,0 +1,137 @@
+/**
+ * Homebrew Module
+ *
+ * Handles the account's D&D Beyond homebrew collection:
+ * - Picks homebrew magic items and spells out of the enhanced item/spell lists
+ * - Picks homebrew subclasses out of the per-class subclass lists and adds the
+ *   same source book information items and spells get
+ * - Marks every entry with an isHomebrew flag
+ *
+ * NOTE: D&D Beyond returns collected homebrew alongside official content in the
+ * game-data endpoints, flagged with isHomebrew. Homebrew has no source book, so
+ * sourceBook is set to 'Homebrew' instead of 'Unknown Source'.
+ */
+
+import { fetchRawSubclasses } from './classes.js';
+import { buildSourceMap, extractSourceName } from './sources.js';
+
+// Label used as sourceBook for homebrew entries
+const HOMEBREW_SOURCE_NAME = 'Homebrew';
+
+/**
+ * Check whether a D&D Beyond entry is homebrew
+ * @param {object} entry - Item, spell or subclass object from D&D Beyond
+ * @returns {boolean} - True if homebrew
+ */
+function isHomebrewEntry(entry) {
+  return entry.isHomebrew === true || entry.definition?.isHomebrew === true;
+}
+
+/**
+ * Extract ALL source book names from a sources array
+ * @param {Array} sources - Sources array from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {string} - Comma-separated source book names
+ */
+function extractSourceBook(sources, sourceMap) {
+  const sourceNames = [];
+
+  if (!sources || sources.length === 0) return 'Unknown Source';
+
+  sources.forEach(source => {
+    const sourceName = extractSourceName(source, sourceMap);
+    if (sourceName && !sourceNames.includes(sourceName)) {
+      sourceNames.push(sourceName);
+    }
+  });
+
+  return sourceNames.length > 0 ? sourceNames.join(', ') : 'Unknown Source';
+}
+
+/**
+ * Enhance a raw subclass with its base class and source book, like enhanced items and spells
+ * @param {object} subclass - Subclass object from D&D Beyond
+ * @param {object} baseClass - Base class ({id, name})
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {object} - Enhanced subclass object
+ */
+function enhanceSubclassData(subclass, baseClass, sourceMap) {
+  const definition = subclass.definition || subclass;
+
+  return {
+    // Preserve all original data
+    ...subclass,
+
+    // Extract source book name to top level
+    sourceBook: extractSourceBook(definition.sources, sourceMap),
+
+    // Ensure id and name are present
+    id: subclass.id,
+    name: subclass.name || definition.name || 'Unknown Subclass',
+
+    // Base class this subclass belongs to
+    classId: baseClass.id,
+    className: baseClass.name
+  };
+}
+
+/**
+ * Mark an enhanced entry as homebrew
+ * @param {object} entry - Enhanced entry
+ * @returns {object} - Entry with isHomebrew flag and homebrew source name
+ */
+function markHomebrew(entry) {
+  const hasSourceBook = entry.sourceBook && entry.sourceBook !== 'Unknown Source';
+
+  return {
+    ...entry,
+    isHomebrew: true,
+    sourceBook: hasSourceBook ? entry.sourceBook : HOMEBREW_SOURCE_NAME
+  };
+}
+
+/**
+ * Pick homebrew magic items out of an enhanced item list
+ * @param {Array} items - Enhanced items from fetchAllItems()
+ * @returns {Array} - Homebrew items marked with isHomebrew
+ */
+export function collectHomebrewItems(items) {
+  return items.filter(isHomebrewEntry).map(markHomebrew);
+}
+
+/**
+ * Pick homebrew spells out of an enhanced spell list
+ * @param {Array} spells - Enhanced spells from fetchAllSpells()
+ * @returns {Array} - Homebrew spells marked with isHomebrew
+ */
+export function collectHomebrewSpells(spells) {
+  return spells.filter(isHomebrewEntry).map(markHomebrew);
+}
+
+/**
+ * Fetch all homebrew subclasses in the account's collection
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{subclasses: Array, failures: Array}>} - Homebrew subclasses marked with isHomebrew,
+ *   plus the classes whose subclasses could not be fetched
+ */
+export async function fetchHomebrewSubclasses(cobaltCookie, options = {}) {
+  console.log('[HOMEBREW] Fetching homebrew subclasses...');
+
+  const sourceMap = await buildSourceMap();
+  const { subclasses: rawSubclasses, failures } = await fetchRawSubclasses(cobaltCookie, options);
+
+  const subclasses = rawSubclasses
+    .filter(({ subclass }) => isHomebrewEntry(subclass))
+    .map(({ baseClass, subclass }) => markHomebrew(enhanceSubclassData(subclass, baseClass, sourceMap)));
+
+  console.log(`[HOMEBREW] Found ${subclasses.length} homebrew subclasses`);
+
+  return { subclasses, failures };
+}
+
+export default {
+  collectHomebrewItems,
+  collectHomebrewSpells,
+  fetchHomebrewSubclasses
+};
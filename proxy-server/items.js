@@ -7,7 +7,7 @@
  * - Filters Unearthed Arcana content
  */
 
-import fetch from 'node-fetch';
+import { upstream } from './upstream.js';
 import { DDB_URLS, CONSTANTS, RARITY_MAP } from './config.js';
 import { getAuthHeaders } from './auth.js';
 import { buildSourceMap, extractSourceName, getAllSources } from './sources.js';
@@ -157,33 +157,46 @@ function filterBySourceBooks(items, sourceBookIds) {
  * Fetch all items from D&D Beyond
  * @param {string} cobaltCookie - User's D&D Beyond session cookie
  * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options
+ * @param {number|null} options.campaignId - Campaign whose shared content should be included
+ * @param {number} options.sharingSetting - D&D Beyond sharingSetting (default: 2)
+ * @param {Function} options.onRecord - Optional callback for each item once enhanced and filtered (NDJSON streaming); awaited, so it can hold the fetch back while the client catches up
+ * @param {Function} options.onProgress - Optional callback for structured progress events
  * @returns {Promise<Array>} - Array of enhanced item objects
  */
-export async function fetchAllItems(cobaltCookie, sourceBookIds = null) {
+export async function fetchAllItems(cobaltCookie, sourceBookIds = null, options = {}) {
+  const {
+    campaignId = null,
+    sharingSetting = CONSTANTS.DEFAULT_SHARING_SETTING,
+    onRecord = null,
+    onProgress = () => {}
+  } = options;
   const filterMsg = sourceBookIds && sourceBookIds.length > 0
     ? ` (filtering by source IDs: ${sourceBookIds.join(', ')})`
     : '';
-  console.log(`[ITEMS] Fetching items from D&D Beyond${filterMsg}...`);
+  const campaignMsg = campaignId ? ` (campaign ${campaignId})` : '';
+  console.log(`[ITEMS] Fetching items from D&D Beyond${filterMsg}${campaignMsg}...`);
 
   try {
     // Build source map from D&D Beyond config (cached)
     console.log('[ITEMS] Building source map from D&D Beyond config...');
     const sourceMap = await buildSourceMap();
     console.log(`[ITEMS] Source map built with ${sourceMap.size} sources`);
+    onProgress({ stage: 'sources', message: `Source map built with ${sourceMap.size} sources`, sources: sourceMap.size });
 
     // Get auth headers (with cached bearer token if available)
     const headers = await getAuthHeaders(cobaltCookie, true);
 
-    const url = DDB_URLS.items(2); // sharingSetting=2 for all shared content
+    const url = DDB_URLS.items(sharingSetting, campaignId);
 
-    const response = await fetch(url, { headers });
+    const response = await upstream.fetch(url, { headers });
 
     if (!response.ok) {
       console.warn(`[ITEMS] Error: ${response.status} ${response.statusText}`);
       throw new Error(`D&D Beyond API error: ${response.status}`);
     }
 
-    const json = await response.json();
+    let json = await response.json();
 
     // D&D Beyond returns items directly in an array
     let items = json;
@@ -195,8 +208,10 @@ export async function fetchAllItems(cobaltCookie, sourceBookIds = null) {
       console.warn('[ITEMS] Unexpected response format');
       throw new Error('Unexpected response format from D&D Beyond');
     }
+    json = null;
 
     console.log(`[ITEMS] Fetched ${items.length} items from D&D Beyond`);
+    onProgress({ stage: 'items', message: `Fetched ${items.length} items`, count: 0, total: items.length });
 
     // IMPORTANT: Track ownership from ORIGINAL API response (before filtering)
     // A book is "owned" if ANY of its sourceIds appear in the API response
@@ -217,13 +232,24 @@ export async function fetchAllItems(cobaltCookie, sourceBookIds = null) {
       console.log(`[ITEMS] After source filter: ${items.length} items`);
     }
 
-    // Enhance each item with source book information
-    const enhancedItems = items.map(item => enhanceItemData(item, sourceMap));
-
-    // Filter out Unearthed Arcana content
-    const filteredItems = filterUnearthedArcana(enhancedItems);
+    // Enhance each item with source book information and filter out Unearthed
+    // Arcana content, handing each item to onRecord as soon as it is ready.
+    // Raw items are released once enhanced so both copies are never fully held.
+    const filteredItems = [];
+    for (let i = 0; i < items.length; i++) {
+      const enhanced = enhanceItemData(items[i], sourceMap);
+      items[i] = null;
+      if (filterUnearthedArcana([enhanced]).length === 0) continue;
+
+      filteredItems.push(enhanced);
+      if (onRecord) await onRecord(enhanced);
+      if (filteredItems.length % 500 === 0) {
+        onProgress({ stage: 'items', message: `Enhanced ${filteredItems.length} items`, count: filteredItems.length, total: items.length });
+      }
+    }
+    onProgress({ stage: 'items', message: `Enhanced ${filteredItems.length} items`, count: filteredItems.length, total: items.length });
 
-    console.log(`[ITEMS] Total: ${filteredItems.length} items (${enhancedItems.length - filteredItems.length} UA filtered)`);
+    console.log(`[ITEMS] Total: ${filteredItems.length} items (${items.length - filteredItems.length} UA filtered)`);
 
     // Log detailed source stats
     const sourceStats = {};
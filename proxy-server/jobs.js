@@ -0,0 +1,324 @@
+/**
+ * Asynchronous Fetch Jobs
+ *
+ * Long fetches (all spells is ~28 class list calls plus source lookups) can
+ * outlive a hosting platform's request timeout. A job runs the fetch in the
+ * background while the client polls for status and downloads the result once
+ * it has finished.
+ *
+ * Jobs are held in memory, belong to the account (cookie hash) that created
+ * them, and are forgotten - result included - once they expire or once the
+ * account has finished too many newer ones.
+ */
+
+import crypto from 'crypto';
+import { JOBS } from './config.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export class JobManager {
+  /**
+   * Create a new job manager
+   * @param {object} options - Options
+   * @param {number} options.ttlMs - How long finished jobs are kept
+   * @param {number} options.maxActivePerAccount - Pending/running jobs allowed per account
+   * @param {number} options.maxFinishedPerAccount - Finished jobs kept per account before the oldest are dropped
+   * @param {number} options.cleanupIntervalMs - How often expired jobs are swept (0 disables the timer)
+   */
+  constructor({
+    ttlMs = JOBS.TTL,
+    maxActivePerAccount = JOBS.MAX_ACTIVE_PER_ACCOUNT,
+    maxFinishedPerAccount = JOBS.MAX_FINISHED_PER_ACCOUNT,
+    cleanupIntervalMs = JOBS.CLEANUP_INTERVAL
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxActivePerAccount = maxActivePerAccount;
+    this.maxFinishedPerAccount = maxFinishedPerAccount;
+    this.jobs = new Map();
+    this.listeners = new Map(); // job ID -> Set of (event, data) callbacks
+    this.created = 0;
+    this.expired = 0;
+    this.evicted = 0;
+
+    this.cleanupTimer = null;
+    if (cleanupIntervalMs > 0) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Count an account's pending and running jobs
+   * @param {string} ownerId - Account cache ID (cookie hash)
+   * @returns {number}
+   */
+  countActive(ownerId) {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.ownerId === ownerId && (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Create a job and start running it in the background
+   * @param {string} ownerId - Account cache ID (cookie hash)
+   * @param {string} type - Content type being fetched
+   * @param {object} params - Request parameters (for status display only, never the cookie)
+   * @param {Function} runner - Async function (reportProgress, reportFailures) => result
+   * @returns {object|null} - The new job, or null if the account has too many active jobs
+   */
+  create(ownerId, type, params, runner) {
+    if (this.countActive(ownerId) >= this.maxActivePerAccount) {
+      return null;
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      type,
+      params,
+      status: JOB_STATUS.PENDING,
+      progress: { stage: 'queued', message: 'Waiting to start' },
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      error: null,
+      result: null,
+      resultCount: null,
+      failures: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.created++;
+    console.log(`[JOBS] Created ${type} job ${job.id}`);
+
+    setImmediate(() => this.run(job, runner));
+    return job;
+  }
+
+  /**
+   * Run a job to completion, recording its result or error
+   * @param {object} job - Job to run
+   * @param {Function} runner - Async function (reportProgress, reportFailures) => result
+   */
+  async run(job, runner) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = Date.now();
+    job.progress = { stage: 'fetching', message: `Fetching ${job.type}` };
+
+    this.emit(job, 'status', this.describe(job));
+
+    const reportProgress = (progress) => {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.progress = progress;
+        this.emit(job, 'progress', progress);
+      }
+    };
+
+    // Upstream lists that failed, leaving the result incomplete
+    const reportFailures = (failures) => {
+      if (failures && failures.length > 0) {
+        job.failures = failures;
+      }
+    };
+
+    try {
+      const result = await runner(reportProgress, reportFailures);
+
+      job.result = result;
+      job.resultCount = Array.isArray(result) ? result.length : null;
+      job.status = JOB_STATUS.COMPLETED;
+      job.progress = job.failures.length > 0
+        ? { stage: 'done', message: `Fetched ${job.type} (${job.failures.length} upstream requests failed, result is incomplete)` }
+        : { stage: 'done', message: `Fetched ${job.type}` };
+      console.log(`[JOBS] ${job.type} job ${job.id} completed in ${Date.now() - job.startedAt}ms`);
+    } catch (error) {
+      job.error = error.message;
+      job.status = JOB_STATUS.FAILED;
+      job.progress = { stage: 'failed', message: error.message };
+      console.error(`[JOBS] ${job.type} job ${job.id} failed:`, error.message);
+    }
+
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + this.ttlMs;
+
+    this.emit(job, 'done', this.describe(job));
+    this.listeners.delete(job.id);
+
+    this.evictFinished(job.ownerId);
+  }
+
+  /**
+   * Drop an account's oldest finished jobs beyond maxFinishedPerAccount
+   * Results can be large, so an account polling in a loop must not be able to
+   * pile them up for the whole TTL.
+   * @param {string} ownerId - Account cache ID (cookie hash)
+   */
+  evictFinished(ownerId) {
+    const finished = [];
+    for (const job of this.jobs.values()) {
+      if (job.ownerId === ownerId && job.finishedAt) {
+        finished.push(job);
+      }
+    }
+
+    const excess = finished.length - this.maxFinishedPerAccount;
+    if (excess <= 0) return;
+
+    finished.sort((a, b) => a.finishedAt - b.finishedAt);
+    for (const job of finished.slice(0, excess)) {
+      this.jobs.delete(job.id);
+    }
+    this.evicted += excess;
+    console.log(`[JOBS] Dropped ${excess} oldest finished jobs for an account over the limit of ${this.maxFinishedPerAccount}`);
+  }
+
+  /**
+   * Listen for a job's events until it finishes
+   * Events: 'status' (job started), 'progress' (structured progress), 'done' (completed or failed)
+   * @param {object} job - Job
+   * @param {Function} listener - Called with (event, data)
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(job, listener) {
+    if (!this.listeners.has(job.id)) {
+      this.listeners.set(job.id, new Set());
+    }
+    this.listeners.get(job.id).add(listener);
+
+    return () => {
+      const listeners = this.listeners.get(job.id);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) this.listeners.delete(job.id);
+    };
+  }
+
+  /**
+   * Send an event to a job's listeners
+   * @param {object} job - Job
+   * @param {string} event - Event name
+   * @param {object} data - Event payload
+   */
+  emit(job, event, data) {
+    const listeners = this.listeners.get(job.id);
+    if (!listeners) return;
+
+    for (const listener of listeners) {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error(`[JOBS] Listener for job ${job.id} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Get a job, only if it belongs to the given account
+   * @param {string} id - Job ID
+   * @param {string} ownerId - Account cache ID (cookie hash)
+   * @returns {object|null} - The job, or null if unknown, expired or owned by someone else
+   */
+  get(id, ownerId) {
+    const job = this.jobs.get(id);
+    if (!job || job.ownerId !== ownerId) {
+      return null;
+    }
+
+    if (job.expiresAt && Date.now() > job.expiresAt) {
+      this.jobs.delete(id);
+      this.expired++;
+      return null;
+    }
+
+    return job;
+  }
+
+  /**
+   * Describe a job for API responses (without the result or owner)
+   * `failures` lists upstream requests that failed for a completed but incomplete result
+   * @param {object} job - Job
+   * @returns {object} - Public job status
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      params: job.params,
+      status: job.status,
+      progress: job.progress,
+      resultCount: job.resultCount,
+      failures: job.failures,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Remove expired jobs and their results
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.expiresAt && now > job.expiresAt) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.expired += removed;
+      console.log(`[JOBS] Cleaned up ${removed} expired jobs`);
+    }
+  }
+
+  /**
+   * Get job statistics
+   * @returns {object} - Statistics
+   */
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    return {
+      jobs: this.jobs.size,
+      byStatus,
+      subscribers: [...this.listeners.values()].reduce((total, listeners) => total + listeners.size, 0),
+      created: this.created,
+      expired: this.expired,
+      evicted: this.evicted,
+      ttlMinutes: this.ttlMs / 60000,
+      maxActivePerAccount: this.maxActivePerAccount,
+      maxFinishedPerAccount: this.maxFinishedPerAccount
+    };
+  }
+
+  /**
+   * Stop the periodic cleanup timer
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+export default JobManager;
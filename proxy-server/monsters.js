@@ -0,0 +1,291 @@
+/**
+ * Monsters Module
+ *
+ * Handles fetching and processing monster data from D&D Beyond:
+ * - Pages through the monster service in MONSTER_PAGE_SIZE chunks
+ * - Extracts source book information
+ * - Filters Unearthed Arcana content
+ * - Filters by challenge rating, creature type and size
+ */
+
+import { upstream } from './upstream.js';
+import {
+  DDB_URLS,
+  CONSTANTS,
+  MONSTER_SIZE_MAP,
+  MONSTER_TYPE_MAP,
+  CHALLENGE_RATING_MAP
+} from './config.js';
+import { getAuthHeaders } from './auth.js';
+import { buildSourceMap, extractSourceName } from './sources.js';
+
+/**
+ * Extract ALL source book names from monster sources array
+ * Uses D&D Beyond's config API for accurate source book names
+ * @param {object} monster - Monster object from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {string} - Comma-separated source book names
+ */
+function extractSourceBook(monster, sourceMap) {
+  const sources = monster.sources || [];
+  const sourceNames = [];
+
+  if (sources.length === 0) return 'Unknown Source';
+
+  // Extract ALL source books (not just the first one)
+  sources.forEach(source => {
+    const sourceName = extractSourceName(source, sourceMap);
+
+    // Add to list if we found a name and it's not already in the list
+    if (sourceName && !sourceNames.includes(sourceName)) {
+      sourceNames.push(sourceName);
+    }
+  });
+
+  return sourceNames.length > 0 ? sourceNames.join(', ') : 'Unknown Source';
+}
+
+/**
+ * Filter out Unearthed Arcana content (sourceId 39)
+ * @param {Array} monsters - Array of monster objects
+ * @returns {Array} - Filtered monster array
+ */
+function filterUnearthedArcana(monsters) {
+  return monsters.filter(monster => {
+    // Check if monster has sources
+    if (!monster.sources) {
+      return true; // Include if no source info
+    }
+
+    // Filter out if any source is UA (sourceId 39)
+    return !monster.sources.some(source =>
+      source.sourceId === CONSTANTS.EXCLUDED_SOURCE_ID
+    );
+  });
+}
+
+/**
+ * Enhance monster object with additional metadata
+ * @param {object} monster - Original monster object from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {object} - Enhanced monster object
+ */
+function enhanceMonsterData(monster, sourceMap) {
+  const challengeRating = CHALLENGE_RATING_MAP[monster.challengeRatingId];
+
+  return {
+    // Preserve all original data
+    ...monster,
+
+    // Extract source book name to top level
+    sourceBook: extractSourceBook(monster, sourceMap),
+
+    // Add human-readable size, type and challenge rating
+    sizeName: MONSTER_SIZE_MAP[monster.sizeId] || 'Unknown',
+    typeName: MONSTER_TYPE_MAP[monster.typeId] || 'Unknown',
+    challengeRating: challengeRating !== undefined ? challengeRating : null,
+
+    // Ensure id is present
+    id: monster.id,
+
+    // Ensure name is present
+    name: monster.name || 'Unknown Monster'
+  };
+}
+
+/**
+ * Normalize a list of size/type filters to lowercase names
+ * Accepts either D&D Beyond IDs or names (e.g. 4 or 'Medium')
+ * @param {Array<number|string>} values - Filter values
+ * @param {object} idMap - ID to name mapping
+ * @returns {Array<string>} - Lowercase names
+ */
+function normalizeNameFilter(values, idMap) {
+  return values.map(value =>
+    (typeof value === 'number' ? idMap[value] || '' : String(value)).toLowerCase()
+  );
+}
+
+/**
+ * Filter monsters by challenge rating, creature type and size
+ * @param {Array} monsters - Array of enhanced monster objects
+ * @param {object} filters - Monster filters
+ * @param {number} [filters.minChallengeRating] - Lowest CR to include
+ * @param {number} [filters.maxChallengeRating] - Highest CR to include
+ * @param {Array<number|string>} [filters.creatureTypes] - Creature type IDs or names
+ * @param {Array<number|string>} [filters.sizes] - Size IDs or names
+ * @returns {Array} - Filtered monster array
+ */
+export function filterMonsters(monsters, filters = {}) {
+  const { minChallengeRating, maxChallengeRating, creatureTypes, sizes } = filters;
+
+  const types = Array.isArray(creatureTypes) && creatureTypes.length > 0
+    ? normalizeNameFilter(creatureTypes, MONSTER_TYPE_MAP)
+    : null;
+  const sizeNames = Array.isArray(sizes) && sizes.length > 0
+    ? normalizeNameFilter(sizes, MONSTER_SIZE_MAP)
+    : null;
+
+  return monsters.filter(monster => {
+    if (typeof minChallengeRating === 'number' &&
+        (monster.challengeRating === null || monster.challengeRating < minChallengeRating)) {
+      return false;
+    }
+
+    if (typeof maxChallengeRating === 'number' &&
+        (monster.challengeRating === null || monster.challengeRating > maxChallengeRating)) {
+      return false;
+    }
+
+    if (types && !types.includes(monster.typeName.toLowerCase())) {
+      return false;
+    }
+
+    if (sizeNames && !sizeNames.includes(monster.sizeName.toLowerCase())) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Fetch a single page of monsters from the monster service
+ * @param {number} skip - Number of monsters to skip
+ * @param {string} search - Name search
+ * @param {Array<number>} sourceBookIds - Source book IDs to restrict to
+ * @param {object} headers - Authenticated request headers
+ * @returns {Promise<{monsters: Array, total: number|null}>} - Page of raw monsters
+ */
+async function fetchMonsterPage(skip, search, sourceBookIds, headers) {
+  const url = DDB_URLS.monsters(
+    skip,
+    CONSTANTS.MONSTER_PAGE_SIZE,
+    encodeURIComponent(search),
+    false,
+    sourceBookIds
+  );
+
+  const response = await upstream.fetch(url, { headers });
+
+  if (!response.ok) {
+    console.warn(`[MONSTERS] Error: ${response.status} ${response.statusText}`);
+    throw new Error(`D&D Beyond API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+
+  // Monster service returns {data: [...], pagination: {total, ...}}
+  if (!json.data || !Array.isArray(json.data)) {
+    console.warn('[MONSTERS] Unexpected response format');
+    throw new Error('Unexpected response format from D&D Beyond');
+  }
+
+  return {
+    monsters: json.data,
+    total: json.pagination?.total ?? null
+  };
+}
+
+/**
+ * Fetch all monsters from D&D Beyond
+ * Source book and name search are applied by the monster service; challenge
+ * rating, type and size filters are applied by the caller via filterMonsters()
+ * so one cached list can serve every combination.
+ *
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {string} search - Optional monster name search
+ * @param {object} options - Optional hooks
+ * @param {Function} options.onProgress - Optional callback for structured progress events
+ * @returns {Promise<{monsters: Array, sourceStats: object, failures: Array}>} - Enhanced monsters;
+ *   failures is non-empty when MONSTER_MAX_PAGES was reached before the end of the list
+ */
+export async function fetchAllMonsters(cobaltCookie, sourceBookIds = null, search = '', options = {}) {
+  const { onProgress = () => {} } = options;
+  const sources = sourceBookIds && sourceBookIds.length > 0 ? sourceBookIds : [];
+  const filterMsg = sources.length > 0
+    ? ` (filtering by source IDs: ${sources.join(', ')})`
+    : '';
+  console.log(`[MONSTERS] Fetching monsters from D&D Beyond${filterMsg}...`);
+
+  try {
+    // Build source map from D&D Beyond config (cached)
+    console.log('[MONSTERS] Building source map from D&D Beyond config...');
+    const sourceMap = await buildSourceMap();
+    console.log(`[MONSTERS] Source map built with ${sourceMap.size} sources`);
+    onProgress({ stage: 'sources', message: `Source map built with ${sourceMap.size} sources`, sources: sourceMap.size });
+
+    // Get auth headers (with cached bearer token if available)
+    const headers = await getAuthHeaders(cobaltCookie, true);
+
+    // Page through the monster service until a short page or the reported total
+    const monsters = [];
+    let reportedTotal = null;
+    let complete = false;
+    for (let page = 0; page < CONSTANTS.MONSTER_MAX_PAGES; page++) {
+      const skip = page * CONSTANTS.MONSTER_PAGE_SIZE;
+      const { monsters: pageMonsters, total } = await fetchMonsterPage(skip, search || '', sources, headers);
+      reportedTotal = total;
+
+      monsters.push(...pageMonsters);
+      console.log(`[MONSTERS] Page ${page + 1}: ${pageMonsters.length} monsters (${monsters.length}${total !== null ? `/${total}` : ''})`);
+      onProgress({
+        stage: 'monsters',
+        message: `Fetched ${monsters.length}${total !== null ? ` of ${total}` : ''} monsters`,
+        current: page + 1,
+        count: monsters.length,
+        total
+      });
+
+      if (pageMonsters.length < CONSTANTS.MONSTER_PAGE_SIZE || (total !== null && monsters.length >= total)) {
+        complete = true;
+        break;
+      }
+    }
+
+    console.log(`[MONSTERS] Fetched ${monsters.length} monsters from D&D Beyond`);
+
+    // The page limit guards against a runaway loop; hitting it means the bestiary is cut short
+    const failures = [];
+    if (!complete) {
+      const message = `Stopped after ${CONSTANTS.MONSTER_MAX_PAGES} pages (${monsters.length}${reportedTotal !== null ? ` of ${reportedTotal}` : ''} monsters)`;
+      console.warn(`[MONSTERS] Partial result: ${message}`);
+      failures.push({
+        source: `monsters after page ${CONSTANTS.MONSTER_MAX_PAGES}`,
+        status: null,
+        message
+      });
+    }
+
+    // Enhance each monster with source book information
+    const enhancedMonsters = monsters.map(monster => enhanceMonsterData(monster, sourceMap));
+
+    // Filter out Unearthed Arcana content
+    const filteredMonsters = filterUnearthedArcana(enhancedMonsters);
+
+    console.log(`[MONSTERS] Total: ${filteredMonsters.length} monsters (${enhancedMonsters.length - filteredMonsters.length} UA filtered)`);
+
+    // Log detailed source stats
+    const sourceStats = {};
+    for (const monster of filteredMonsters) {
+      const source = monster.sourceBook || 'Unknown';
+      sourceStats[source] = (sourceStats[source] || 0) + 1;
+    }
+
+    return {
+      monsters: filteredMonsters,
+      sourceStats,
+      failures
+    };
+
+  } catch (error) {
+    console.error('[MONSTERS] Fetch failed:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  fetchAllMonsters,
+  filterMonsters
+};
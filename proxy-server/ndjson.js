@@ -0,0 +1,133 @@
+/**
+ * NDJSON Streaming Responses
+ *
+ * With `Accept: application/x-ndjson`, the item and spell routes write one
+ * enhanced record per line as soon as it is ready instead of building one huge
+ * JSON array. Headers go out with the first record, so once streaming has
+ * started an error can only be reported as a final `{error, message}` line.
+ */
+
+export const NDJSON_TYPE = 'application/x-ndjson';
+
+// Flush the compression buffer every N records so the client sees progress
+const FLUSH_INTERVAL = 100;
+
+/**
+ * Check whether a request prefers an NDJSON stream over a JSON array
+ * @param {object} req - Express request
+ * @returns {boolean} - Whether to stream
+ */
+export function wantsNdjson(req) {
+  return req.accepts(['application/json', NDJSON_TYPE]) === NDJSON_TYPE;
+}
+
+export class NdjsonWriter {
+  /**
+   * Create a new writer
+   * @param {object} res - Express response
+   */
+  constructor(res) {
+    this.res = res;
+    this.count = 0;
+    this.started = false;
+    this.ended = false;
+  }
+
+  /**
+   * Send the stream headers (once)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.res.status(200);
+    this.res.type(NDJSON_TYPE);
+    this.res.set('Cache-Control', 'no-cache');
+    this.res.set('X-Accel-Buffering', 'no'); // Don't let nginx buffer the stream
+  }
+
+  /**
+   * Whether the client is still there to receive records
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !this.ended && !this.res.destroyed;
+  }
+
+  /**
+   * Write one record
+   * @param {object} record - Record to send
+   * @returns {boolean} - False when the caller should wait for drain
+   */
+  write(record) {
+    if (!this.isOpen()) return true;
+    this.start();
+
+    const ok = this.res.write(`${JSON.stringify(record)}\n`);
+    this.count++;
+
+    if (this.count % FLUSH_INTERVAL === 0 && typeof this.res.flush === 'function') {
+      this.res.flush();
+    }
+
+    return ok;
+  }
+
+  /**
+   * Write many records, waiting for the socket to drain when its buffer fills
+   * @param {Array} records - Records to send
+   */
+  async writeAll(records) {
+    for (const record of records) {
+      if (!this.isOpen()) return;
+      if (!this.write(record)) {
+        await this.waitForDrain();
+      }
+    }
+  }
+
+  /**
+   * Wait until the response buffer drains or the client goes away
+   * @returns {Promise<void>}
+   */
+  waitForDrain() {
+    return new Promise(resolve => {
+      const done = () => {
+        this.res.off('drain', done);
+        this.res.off('close', done);
+        resolve();
+      };
+      this.res.on('drain', done);
+      this.res.on('close', done);
+    });
+  }
+
+  /**
+   * Finish the stream
+   */
+  end() {
+    if (!this.isOpen()) return;
+    this.start();
+    this.ended = true;
+    this.res.end();
+  }
+
+  /**
+   * Report an error after streaming has started and finish the stream
+   * @param {Error} error - What went wrong
+   */
+  fail(error) {
+    if (!this.isOpen()) return;
+    this.write({
+      error: 'Stream failed',
+      message: error.message
+    });
+    this.end();
+  }
+}
+
+export default {
+  NDJSON_TYPE,
+  wantsNdjson,
+  NdjsonWriter
+};
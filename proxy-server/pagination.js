@@ -0,0 +1,110 @@
+/**
+ * Content List Pagination
+ *
+ * The item and spell routes can return one page of a cached list instead of
+ * the whole thing. Clients ask for page/pageSize, or follow the opaque
+ * `nextCursor` from the previous page: the base64url offset of the next entry
+ * plus the version of the list it points into. If the cached list is replaced
+ * between two pages (e.g. by a stale-while-revalidate refresh), offsets no
+ * longer line up, so the cursor is rejected instead of skipping or repeating entries.
+ */
+
+import { computeETag } from './etag.js';
+import { CONSTANTS } from './config.js';
+
+// List version by list, so each cached list is only hashed once
+const listVersions = new WeakMap();
+
+/**
+ * Version of a content list: a hash of its contents, the same on every instance
+ * @param {Array} entries - Full content list
+ * @returns {string} - Short version string
+ */
+export function listVersion(entries) {
+  let version = listVersions.get(entries);
+  if (!version) {
+    version = computeETag(JSON.stringify(entries)).slice(1, 17);
+    listVersions.set(entries, version);
+  }
+  return version;
+}
+
+/**
+ * Parse pagination options from a content request body
+ * Accepts either page/pageSize (1-based pages) or an opaque cursor from a previous page
+ * @param {object} body - Request body
+ * @returns {{options?: {offset: number, pageSize: number, version?: string}|null, error?: string}} - options is
+ *   null when not paginated; version is the list version a cursor was issued for
+ */
+export function parsePagination(body) {
+  const { page, pageSize, cursor } = body;
+
+  if (page === undefined && pageSize === undefined && cursor === undefined) {
+    return { options: null };
+  }
+  if (page !== undefined && cursor !== undefined) {
+    return { error: 'Use either page or cursor, not both' };
+  }
+
+  let size = CONSTANTS.DEFAULT_PAGE_SIZE;
+  if (pageSize !== undefined) {
+    size = Number(pageSize);
+    if (!Number.isInteger(size) || size < 1 || size > CONSTANTS.MAX_PAGE_SIZE) {
+      return { error: `pageSize must be an integer between 1 and ${CONSTANTS.MAX_PAGE_SIZE}` };
+    }
+  }
+
+  if (cursor !== undefined) {
+    const decoded = typeof cursor === 'string' ? Buffer.from(cursor, 'base64url').toString('utf8') : '';
+    const match = decoded.match(/^(\d+)(?:\.([A-Za-z0-9_-]{16}))?$/);
+    if (!match || !Number.isSafeInteger(Number(match[1]))) {
+      return { error: 'Invalid pagination cursor' };
+    }
+
+    const options = { offset: Number(match[1]), pageSize: size };
+    if (match[2]) options.version = match[2];
+    return { options };
+  }
+
+  const pageNumber = page === undefined ? 1 : Number(page);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  return { options: { offset: (pageNumber - 1) * size, pageSize: size } };
+}
+
+/**
+ * Slice one page out of a cached, filtered content list
+ * @param {Array} entries - Full content list
+ * @param {{offset: number, pageSize: number, version?: string}} options - Options from parsePagination()
+ * @returns {{data?: Array, pagination?: object, error?: string}} - Page of entries with totals and the
+ *   next cursor, or an error when the cursor was issued for a different version of the list
+ */
+export function paginate(entries, { offset, pageSize, version: cursorVersion }) {
+  const version = listVersion(entries);
+  if (cursorVersion && cursorVersion !== version) {
+    return { error: 'The list changed since the previous page was served; start again from the first page' };
+  }
+
+  const data = entries.slice(offset, offset + pageSize);
+  const nextOffset = offset + pageSize;
+
+  return {
+    data,
+    pagination: {
+      total: entries.length,
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      totalPages: Math.ceil(entries.length / pageSize),
+      version,
+      nextCursor: nextOffset < entries.length ? Buffer.from(`${nextOffset}.${version}`).toString('base64url') : null
+    }
+  };
+}
+
+export default {
+  listVersion,
+  parsePagination,
+  paginate
+};
@@ -0,0 +1,205 @@
+/**
+ * Passthrough Route Tables
+ *
+ * POST /api/character/* and the raw game-data part of POST /api/content/*
+ * forward requests to D&D Beyond with the user's credentials. Only the
+ * operations listed here are forwarded: each one declares its path and body
+ * parameters, which are validated before anything is sent upstream, and a
+ * check on the shape of D&D Beyond's response. Any other path is rejected
+ * with the list of supported operations, so the proxy can't be used as an
+ * open relay to arbitrary character-service URLs.
+ */
+
+import { DDB_URLS } from './config.js';
+
+// Parameter types: how a value is checked, converted and described
+const PARAM_TYPES = {
+  id: {
+    test: (value) => /^\d+$/.test(String(value)),
+    convert: Number,
+    describe: 'numeric D&D Beyond ID'
+  },
+  level: {
+    test: (value) => /^\d+$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 20,
+    convert: Number,
+    describe: 'level from 1 to 20'
+  }
+};
+
+/**
+ * Response check: any JSON object
+ * @param {*} json - Parsed response
+ * @returns {boolean}
+ */
+function isObject(json) {
+  return json !== null && typeof json === 'object' && !Array.isArray(json);
+}
+
+/**
+ * Response check: D&D Beyond's {success, data: {...}} wrapper
+ * @param {*} json - Parsed response
+ * @returns {boolean}
+ */
+function hasDataObject(json) {
+  return isObject(json) && json.success !== false && isObject(json.data);
+}
+
+/**
+ * Response check: D&D Beyond's {success, data: [...]} wrapper
+ * @param {*} json - Parsed response
+ * @returns {boolean}
+ */
+function hasDataArray(json) {
+  return isObject(json) && json.success !== false && Array.isArray(json.data);
+}
+
+/**
+ * Character service operations (POST /api/character/*)
+ * Sent with the Cobalt cookie; url(params) builds the upstream URL
+ */
+export const CHARACTER_OPERATIONS = [
+  {
+    path: '/user-entity',
+    description: 'Account details, including unlocked sources',
+    url: () => `${DDB_URLS.characterService}/user-entity`,
+    isValidResponse: isObject
+  },
+  {
+    path: '/character/:characterId',
+    description: 'Raw character JSON (use /api/characters/:id for the normalized character)',
+    params: {
+      characterId: { type: 'id', required: true }
+    },
+    url: ({ characterId }) => DDB_URLS.character(characterId),
+    isValidResponse: hasDataObject
+  }
+];
+
+/**
+ * Raw game-data operations (POST /api/content/*, after the enhanced content routes)
+ * Sent with a bearer token when a cookie is available; url(params, sharing)
+ * builds the upstream URL from validated parameters and campaign sharing options
+ */
+export const GAME_DATA_OPERATIONS = [
+  {
+    path: '/always-prepared-spells',
+    description: 'Always-prepared spells (domain, oath and circle spells) for a class',
+    params: {
+      classId: { type: 'id', required: true },
+      classLevel: { type: 'level', required: false }
+    },
+    url: ({ classId, classLevel = 20 }, sharing) =>
+      DDB_URLS.alwaysPreparedSpells(classId, classLevel, sharing.campaignId, sharing.sharingSetting),
+    isValidResponse: hasDataArray
+  },
+  {
+    path: '/subclass',
+    description: 'Raw subclass definitions for a base class (use /subclasses for the enhanced list)',
+    params: {
+      baseClassId: { type: 'id', required: true }
+    },
+    url: ({ baseClassId }, sharing) =>
+      DDB_URLS.subclasses(baseClassId, sharing.sharingSetting, sharing.campaignId),
+    isValidResponse: hasDataArray
+  }
+];
+
+/**
+ * Find the operation for an endpoint path
+ * Path parameters (":name" segments) match one path segment each
+ * @param {Array} operations - Route table
+ * @param {string} endpoint - Requested path below the route prefix (e.g. '/character/123')
+ * @returns {{operation: object, pathParams: object}|null} - null when no operation matches
+ */
+export function matchOperation(operations, endpoint) {
+  const segments = endpoint.split('/');
+
+  for (const operation of operations) {
+    const pattern = operation.path.split('/');
+    if (pattern.length !== segments.length) continue;
+
+    const pathParams = {};
+    const matches = pattern.every((part, index) => {
+      if (part.startsWith(':')) {
+        pathParams[part.substring(1)] = segments[index];
+        return segments[index] !== '';
+      }
+      return part === segments[index];
+    });
+
+    if (matches) {
+      return { operation, pathParams };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an operation's parameters
+ * Path parameters come from the URL, the rest from the request body
+ * @param {object} operation - Operation from matchOperation()
+ * @param {object} pathParams - Path parameters from matchOperation()
+ * @param {object} body - Request body
+ * @returns {{params?: object, error?: string}} - Converted parameters, or the first problem found
+ */
+export function validateParams(operation, pathParams, body = {}) {
+  const params = {};
+
+  for (const [name, spec] of Object.entries(operation.params || {})) {
+    const value = name in pathParams ? pathParams[name] : body[name];
+    const type = PARAM_TYPES[spec.type];
+
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        return { error: `${name} is required for ${operation.path}` };
+      }
+      continue;
+    }
+
+    if (!type.test(value)) {
+      return { error: `${name} must be a ${type.describe}` };
+    }
+
+    params[name] = type.convert(value);
+  }
+
+  return { params };
+}
+
+/**
+ * Throw if D&D Beyond's response doesn't have the shape an operation expects
+ * @param {object} operation - Operation from matchOperation()
+ * @param {*} json - Parsed response
+ */
+export function checkResponse(operation, json) {
+  if (!operation.isValidResponse(json)) {
+    const error = new Error(`Unexpected response from D&D Beyond for ${operation.path}`);
+    error.code = 'UNEXPECTED_RESPONSE';
+    throw error;
+  }
+}
+
+/**
+ * Describe a route table for error responses
+ * @param {Array} operations - Route table
+ * @param {string} prefix - Proxy route prefix (e.g. '/api/character')
+ * @returns {Array<object>} - [{operation, description, parameters}]
+ */
+export function describeOperations(operations, prefix) {
+  return operations.map(operation => ({
+    operation: `POST ${prefix}${operation.path}`,
+    description: operation.description,
+    parameters: Object.entries(operation.params || {}).map(([name, spec]) =>
+      `${name}${spec.required ? '' : ' (optional)'}: ${PARAM_TYPES[spec.type].describe}`)
+  }));
+}
+
+export default {
+  CHARACTER_OPERATIONS,
+  GAME_DATA_OPERATIONS,
+  matchOperation,
+  validateParams,
+  checkResponse,
+  describeOperations
+};
@@ -0,0 +1,119 @@
+/**
+ * Layered Rate Limits
+ *
+ * Three layers, each with its own budget and its own `RateLimit` /
+ * `RateLimit-Policy` headers (IETF draft-8, one named policy per layer):
+ * - "ip": every /api request per client IP (the proxy's original limit).
+ *   Deployments where many users share one address can raise it.
+ * - "account": every /api request per D&D Beyond account (cookie hash), so
+ *   one account can't spread its traffic over rotating IPs.
+ * - "upstream-<class>": requests that had to go to D&D Beyond, per account
+ *   (or IP when anonymous) and endpoint class. Responses served entirely from
+ *   the proxy's cache are refunded, so cache hits only cost the first two
+ *   layers while cache misses cost all three. (The check itself happens before
+ *   the route runs, so an exhausted layer turns away hits as well.)
+ *
+ * Routes mark cache hits with `res.locals.cacheHit = true`. Work that finishes
+ * after its response has been sent (fetch jobs) calls refundUpstream instead.
+ */
+
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+import { RATE_LIMITS } from './config.js';
+
+/**
+ * Create one rate limit layer
+ * @param {string} name - Policy name in the RateLimit headers
+ * @param {number} limit - Requests allowed per window
+ * @param {string} message - Message for the 429 response
+ * @param {object} options - Extra express-rate-limit options
+ * @returns {Function} - Express middleware
+ */
+function createLayer(name, limit, message, options = {}) {
+  return rateLimit({
+    windowMs: RATE_LIMITS.WINDOW,
+    limit,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    identifier: name,
+    message: {
+      error: 'Too many requests',
+      message
+    },
+    ...options
+  });
+}
+
+/**
+ * Per-IP layer (all /api requests)
+ */
+export const ipLimiter = createLayer('ip', RATE_LIMITS.PER_IP,
+  'Too many requests from this address. Please wait before making more requests.');
+
+/**
+ * Per-account layer (all /api requests that carry a cookie or proxy token)
+ * Needs req.accountId, set by the server's session middleware
+ */
+export const accountLimiter = createLayer('account', RATE_LIMITS.PER_ACCOUNT,
+  'Too many requests for this D&D Beyond account. Please wait before making more requests.', {
+    keyGenerator: (req) => req.accountId,
+    skip: (req) => !req.accountId
+  });
+
+// One upstream layer per endpoint class, created on first use
+const upstreamLimiters = new Map();
+const upstreamStores = new Map();
+
+/**
+ * Key an upstream layer counts a request under
+ * @param {object} req - Express request
+ * @returns {string} - Account cache ID, or the IP when anonymous
+ */
+const upstreamKey = (req) => req.accountId || req.ip;
+
+/**
+ * Per-account budget for requests to D&D Beyond in one endpoint class
+ * Cache hits (res.locals.cacheHit) are refunded once the response finishes
+ * @param {string} endpointClass - Key of RATE_LIMITS.UPSTREAM ('content', 'character', 'campaigns', 'auth')
+ * @returns {Function} - Express middleware
+ */
+export function upstreamLimiter(endpointClass) {
+  if (!upstreamLimiters.has(endpointClass)) {
+    const limit = RATE_LIMITS.UPSTREAM[endpointClass];
+    if (!limit) {
+      throw new Error(`Unknown upstream endpoint class: ${endpointClass}`);
+    }
+
+    const store = new MemoryStore();
+    upstreamStores.set(endpointClass, store);
+    upstreamLimiters.set(endpointClass, createLayer(`upstream-${endpointClass}`, limit,
+      `Too many ${endpointClass} requests to D&D Beyond for this account. Please wait before making more requests.`, {
+        store,
+        keyGenerator: upstreamKey,
+        skipSuccessfulRequests: true,
+        requestWasSuccessful: (req, res) => res.locals.cacheHit === true
+      }));
+  }
+
+  return upstreamLimiters.get(endpointClass);
+}
+
+/**
+ * Refund a request counted by an upstream layer after its response has finished
+ * For fetch jobs, which only find out whether they were cache hits once the
+ * 202 response is long gone.
+ * @param {string} endpointClass - Key of RATE_LIMITS.UPSTREAM
+ * @param {object} req - The request the layer counted
+ */
+export async function refundUpstream(endpointClass, req) {
+  const store = upstreamStores.get(endpointClass);
+  if (store) {
+    await store.decrement(upstreamKey(req));
+  }
+}
+
+export default {
+  ipLimiter,
+  accountLimiter,
+  upstreamLimiter,
+  refundUpstream
+};
@@ -0,0 +1,290 @@
+/**
+ * Minimal Redis Protocol (RESP2) Client
+ *
+ * Just enough of the Redis protocol for the shared cache backend: commands are
+ * pipelined over one connection and replies are matched in order. Works with
+ * Redis and Redis-compatible servers (Valkey, KeyDB, Dragonfly, ...).
+ *
+ * Connection URL format: redis[s]://[[username]:password@]host[:port][/db]
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+// Connection and command timeouts
+const CONNECT_TIMEOUT = 5000;
+const COMMAND_TIMEOUT = 10000;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number|Buffer>} args - Command and arguments
+ * @returns {Buffer} - Encoded command
+ */
+export function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Position to start parsing at
+ * @returns {{value: any, offset: number}|null} - Parsed reply and next offset, or null if incomplete
+ */
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const element = parseReply(buffer, position);
+        if (!element) return null;
+        values.push(element.value);
+        position = element.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Bytes needed before a partly received reply can be complete
+ * Only known for bulk strings, which is where large cached values arrive; for
+ * anything else every chunk is worth another parse attempt.
+ * @param {Buffer} buffer - Received data, starting at a reply
+ * @returns {number} - Minimum buffer length, or 0 if unknown
+ */
+function neededBytes(buffer) {
+  if (buffer[0] !== 0x24) return 0; // '$'
+
+  const lineEnd = buffer.indexOf('\r\n');
+  if (lineEnd === -1) return 0;
+
+  const length = Number(buffer.toString('utf8', 1, lineEnd));
+  return length >= 0 ? lineEnd + 2 + length + 2 : 0;
+}
+
+export class RedisClient {
+  /**
+   * Create a new client (connects lazily on the first command)
+   * @param {string} url - Connection URL
+   */
+  constructor(url) {
+    const parsed = new URL(url);
+
+    this.host = parsed.hostname || 'localhost';
+    this.port = Number(parsed.port) || 6379;
+    this.useTls = parsed.protocol === 'rediss:';
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parsed.pathname && parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0;
+
+    this.socket = null;
+    this.connecting = null;
+    this.chunks = []; // Received data not yet parsed
+    this.bufferedBytes = 0;
+    this.neededBytes = 0; // Don't parse again until this much has arrived
+    this.queue = [];
+  }
+
+  /**
+   * Open the connection, authenticating and selecting the database
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.useTls ? tls.connect({ ...options, servername: this.host }) : net.connect(options);
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis connection timeout (${this.host}:${this.port})`));
+      }, CONNECT_TIMEOUT);
+
+      socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve();
+      });
+
+      // Ignore events from a previous socket once a new one has replaced it
+      const isCurrent = () => this.socket === null || this.socket === socket;
+
+      socket.on('data', chunk => {
+        if (this.socket === socket) this.onData(chunk);
+      });
+      socket.on('error', error => {
+        clearTimeout(timer);
+        if (isCurrent()) this.onClose(error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        if (isCurrent()) this.onClose(new Error('Redis connection closed'));
+      });
+    }).then(async () => {
+      if (this.password) {
+        await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+      }
+      if (this.db) {
+        await this.send(['SELECT', this.db]);
+      }
+    }).catch(error => {
+      // Don't leave an unauthenticated connection behind for the next command
+      this.onClose(error);
+      throw error;
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Handle incoming data, resolving queued commands in order
+   * Chunks are only joined and parsed once a reply can be complete, so a
+   * large value arriving in many chunks isn't re-parsed from the start each time.
+   * A malformed reply resets the connection instead of throwing out of the socket handler.
+   * @param {Buffer} chunk - Received data
+   */
+  onData(chunk) {
+    this.chunks.push(chunk);
+    this.bufferedBytes += chunk.length;
+    if (this.bufferedBytes < this.neededBytes) return;
+
+    let buffer = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.bufferedBytes);
+
+    try {
+      let reply;
+      while (this.queue.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const pending = this.queue.shift();
+        clearTimeout(pending.timer);
+
+        if (reply.value instanceof Error) {
+          pending.reject(reply.value);
+        } else {
+          pending.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      this.onClose(new Error(`Redis protocol error: ${error.message}`));
+      return;
+    }
+
+    this.chunks = buffer.length > 0 ? [buffer] : [];
+    this.bufferedBytes = buffer.length;
+    this.neededBytes = neededBytes(buffer);
+  }
+
+  /**
+   * Fail all queued commands and reset the connection
+   * @param {Error} error - Reason the connection ended
+   */
+  onClose(error) {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.chunks = [];
+    this.bufferedBytes = 0;
+    this.neededBytes = 0;
+
+    for (const pending of this.queue.splice(0)) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Write a command to the open socket
+   * @param {Array<string|number|Buffer>} args - Command and arguments
+   * @returns {Promise<any>} - Reply
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject };
+      pending.timer = setTimeout(() => {
+        this.onClose(new Error(`Redis command timeout (${args[0]})`));
+      }, COMMAND_TIMEOUT);
+
+      this.queue.push(pending);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, connecting first if needed
+   * @param {...(string|number|Buffer)} args - Command and arguments
+   * @returns {Promise<any>} - Reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Iterate all keys matching a pattern (non-blocking SCAN)
+   * @param {string} pattern - Glob-style key pattern
+   * @returns {Promise<Array<string>>} - Matching keys
+   */
+  async scanKeys(pattern) {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  /**
+   * Close the connection
+   */
+  async quit() {
+    if (!this.socket) return;
+
+    try {
+      await this.send(['QUIT']);
+    } catch {
+      // Connection is closing either way
+    }
+    this.onClose(new Error('Redis connection closed'));
+  }
+}
+
+export default RedisClient;
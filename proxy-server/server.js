@@ -22,18 +22,35 @@
 
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
-import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import compression from 'compression';
 
 // Import new modules
 import { Cache } from './cache.js';
-import { getBearerToken, validateCobaltCookie as validateCobalt, getCacheId } from './auth.js';
-import { DDB_URLS, CACHE_TTL, CONSTANTS } from './config.js';
+import { getDefaultStorage } from './cache-storage.js';
+import { SingleFlight } from './single-flight.js';
+import { conditionalJson } from './etag.js';
+import { wantsNdjson, NdjsonWriter } from './ndjson.js';
+import { parsePagination, paginate } from './pagination.js';
+import { JobManager, JOB_STATUS } from './jobs.js';
+import { SessionManager } from './sessions.js';
+import { ipLimiter, accountLimiter, upstreamLimiter, refundUpstream } from './rate-limits.js';
+import { getCorsOrigin, rejectUnlistedOrigins, requireApiKey, describeAccess } from './access.js';
+import { EventStream } from './sse.js';
+import { CHARACTER_OPERATIONS, GAME_DATA_OPERATIONS, matchOperation, validateParams, checkResponse, describeOperations } from './passthrough.js';
+import { upstream } from './upstream.js';
+import { getBearerToken, validateCobaltCookie as validateCobalt, getCacheId, tokenFlights } from './auth.js';
+import { DDB_URLS, CACHE_TTL, CONSTANTS, UPSTREAM } from './config.js';
 import { fetchAllSpells } from './spells.js';
 import { fetchAllItems } from './items.js';
-import { getAllSources } from './sources.js';
+import { fetchAllMonsters, filterMonsters } from './monsters.js';
+import { collectHomebrewItems, collectHomebrewSpells, fetchHomebrewSubclasses } from './homebrew.js';
+import { fetchAllFeats, fetchAllSpecies, fetchAllBackgrounds } from './character-options.js';
+import { fetchAllClasses, fetchAllSubclasses } from './classes.js';
+import { fetchAllVehicles } from './vehicles.js';
+import { fetchCharacter } from './characters.js';
+import { fetchCampaigns } from './campaigns.js';
+import { getAllSources, configFlight } from './sources.js';
 import { generateCombinedReport } from './reports.js';
 
 const app = express();
@@ -47,11 +64,54 @@ app.set('trust proxy', 1);
 // D&D Beyond API endpoints (legacy constants for backward compatibility)
 const DDB_AUTH_SERVICE = DDB_URLS.authService;
 const DDB_CHARACTER_SERVICE = DDB_URLS.characterService;
-const DDB_GAME_DATA_BASE = `${DDB_CHARACTER_SERVICE}/game-data`;
 
 // Create cache instances with TTL-based expiration
-const spellsCache = new Cache('SPELLS', CACHE_TTL.SPELLS);
-const itemsCache = new Cache('ITEMS', CACHE_TTL.ITEMS);
+// Content caches serve stale entries (up to MAX_STALE past TTL) while refreshing in the background
+const staleWhileRevalidate = { maxStaleMs: CACHE_TTL.MAX_STALE };
+const spellsCache = new Cache('SPELLS', CACHE_TTL.SPELLS, staleWhileRevalidate);
+const itemsCache = new Cache('ITEMS', CACHE_TTL.ITEMS, staleWhileRevalidate);
+const monstersCache = new Cache('MONSTERS', CACHE_TTL.MONSTERS, staleWhileRevalidate);
+const homebrewCache = new Cache('HOMEBREW', CACHE_TTL.HOMEBREW, staleWhileRevalidate);
+const characterOptionsCache = new Cache('CHARACTER_OPTIONS', CACHE_TTL.CHARACTER_OPTIONS, staleWhileRevalidate);
+const classesCache = new Cache('CLASSES', CACHE_TTL.CLASSES, staleWhileRevalidate);
+const vehiclesCache = new Cache('VEHICLES', CACHE_TTL.VEHICLES, staleWhileRevalidate);
+const campaignsCache = new Cache('CAMPAIGNS', CACHE_TTL.CAMPAIGNS);
+
+// Concurrent identical content fetches share one D&D Beyond fetch (keyed by cache name + cache ID)
+const contentFlights = new SingleFlight('CONTENT');
+
+// Background fetch jobs, for imports that would outlive the platform's request timeout
+const jobManager = new JobManager();
+
+// Proxy sessions: the module trades its Cobalt cookie for a short-lived token once
+const sessions = new SessionManager();
+
+// Upstream failures behind a partial content array (content array -> [{source, status, message}])
+const partialContent = new WeakMap();
+
+// Character option fetchers by endpoint type
+const CHARACTER_OPTION_FETCHERS = {
+  feats: fetchAllFeats,
+  species: fetchAllSpecies,
+  backgrounds: fetchAllBackgrounds
+};
+
+// Enhanced content routes, listed alongside GAME_DATA_OPERATIONS when a content path isn't supported
+const CONTENT_OPERATIONS = [
+  { operation: 'POST /api/content/items', description: 'Enhanced items (paginated or NDJSON)' },
+  { operation: 'POST /api/content/spells', description: 'Enhanced spells with class availability (paginated or NDJSON)' },
+  { operation: 'POST /api/content/items/:id', description: 'One enhanced item' },
+  { operation: 'POST /api/content/spells/:id', description: 'One enhanced spell' },
+  { operation: 'POST /api/content/details', description: 'Batch of items and spells by ID' },
+  { operation: 'POST /api/content/feats', description: 'Enhanced feats' },
+  { operation: 'POST /api/content/species', description: 'Enhanced species' },
+  { operation: 'POST /api/content/backgrounds', description: 'Enhanced backgrounds' },
+  { operation: 'POST /api/content/classes', description: 'Classes with feature and spell slot progression' },
+  { operation: 'POST /api/content/subclasses', description: 'Subclasses, optionally for one classId' },
+  { operation: 'POST /api/content/vehicles', description: 'Ships, infernal war machines and spelljammers' },
+  { operation: 'POST /api/content/homebrew', description: 'Homebrew collection (also /homebrew/:type and /homebrew/:type/:id)' },
+  { operation: 'POST /api/content/monsters', description: 'Enhanced monsters with optional filters' }
+];
 
 // Legacy cache for backward compatibility (deprecated)
 const cache = new Map();
@@ -79,29 +139,23 @@ app.use(helmet({
 // Compression
 app.use(compression());
 
+// Private deployments can refuse other origins outright (see access.js)
+app.use(rejectUnlistedOrigins);
+
 // CORS - Allow Foundry VTT to connect
 app.use(cors({
-  origin: true, // Allow all origins (Foundry can run on any port)
+  origin: getCorsOrigin(), // Public: any origin (Foundry can run on any port); private: the allowlist
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['X-Cache-Stale', 'ETag', 'X-Upstream-Failures', 'WWW-Authenticate', 'RateLimit', 'RateLimit-Policy', 'Retry-After']
 }));
 
 // Parse JSON bodies
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting - Prevent abuse while allowing large imports
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // 1000 requests per windowMs per IP (increased to support large imports)
-  message: {
-    error: 'Too many requests',
-    message: 'Please wait before making more requests.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use('/api/', limiter);
+// Rate limiting - per IP, then (after the optional API key check) per account once the session/cookie is known
+// (requests that reach D&D Beyond are also limited per endpoint class, see the routes)
+app.use('/api/', ipLimiter, requireApiKey, resolveSession, accountLimiter);
 
 // Request logging (NEVER log cookies!)
 app.use((req, res, next) => {
@@ -109,6 +163,7 @@ app.use((req, res, next) => {
   const safeHeaders = { ...req.headers };
   delete safeHeaders.cookie; // Remove cookies from logs
   delete safeHeaders.authorization; // Remove auth from logs
+  delete safeHeaders['x-api-key']; // Remove the shared API key from logs
 
   console.log(`[${timestamp}] ${req.method} ${req.path} - IP: ${req.ip}`);
   next();
@@ -150,37 +205,467 @@ function setCache(key, data) {
  * IMPORTANT: Cookie is NEVER logged or stored
  */
 async function makeAuthenticatedRequest(url, cobaltCookie, options = {}) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 30000); // 30s timeout
+  // Timeouts and retries are handled by the upstream client
+  const response = await upstream.fetch(url, {
+    method: options.method || 'GET',
+    headers: {
+      'Cookie': `CobaltSession=${cobaltCookie}`,
+      'User-Agent': 'Foundry-VTT-DDB-Importer/1.0',
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`D&D Beyond API error: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Parse campaign sharing options from a content request body
+ * @param {object} body - Request body
+ * @returns {{options?: {campaignId: number|null, sharingSetting: number}, error?: string}}
+ */
+function parseSharingOptions(body) {
+  const { campaignId, sharingSetting } = body;
+  const options = {
+    campaignId: null,
+    sharingSetting: CONSTANTS.DEFAULT_SHARING_SETTING
+  };
+
+  if (campaignId !== undefined && campaignId !== null && campaignId !== '') {
+    if (!/^\d+$/.test(String(campaignId))) {
+      return { error: 'campaignId must be a numeric D&D Beyond campaign ID' };
+    }
+    options.campaignId = Number(campaignId);
+  }
+
+  if (sharingSetting !== undefined && sharingSetting !== null) {
+    if (!CONSTANTS.SHARING_SETTINGS.includes(Number(sharingSetting))) {
+      return { error: `sharingSetting must be one of ${CONSTANTS.SHARING_SETTINGS.join(', ')}` };
+    }
+    options.sharingSetting = Number(sharingSetting);
+  }
+
+  return { options };
+}
+
+/**
+ * Build a per-account content cache key
+ * Includes sourceBookIds, campaignId and sharingSetting in the key when provided
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @returns {string} - Cache key
+ */
+function getContentCacheId(cobaltCookie, sourceBookIds, sharing = {}) {
+  let cacheId = getCacheId(cobaltCookie);
+
+  if (sourceBookIds && sourceBookIds.length > 0) {
+    cacheId = `${cacheId}_sources_${[...sourceBookIds].sort().join('_')}`;
+  }
+  if (sharing.campaignId) {
+    cacheId = `${cacheId}_campaign_${sharing.campaignId}`;
+  }
+  if (sharing.sharingSetting !== undefined && sharing.sharingSetting !== CONSTANTS.DEFAULT_SHARING_SETTING) {
+    cacheId = `${cacheId}_sharing_${sharing.sharingSetting}`;
+  }
+
+  return cacheId;
+}
+
+/**
+ * Generate combined report if both items and spells were fetched recently (within 5 minutes)
+ */
+function maybeGenerateCombinedReport() {
+  const timeDiff = Math.abs(recentImports.lastUpdate.items - recentImports.lastUpdate.spells);
+  if (recentImports.items && recentImports.spells && timeDiff < 300000) { // 5 minutes
+    generateCombinedReport(recentImports.items, recentImports.spells);
+  }
+}
+
+/**
+ * Return cached content if present, otherwise fetch and cache it
+ * Concurrent misses for the same cache ID share one fetch. Stale entries
+ * (past TTL but within the cache's maxStaleMs) are returned immediately,
+ * flagged with an X-Cache-Stale header, while a background refresh runs.
+ * Partial results (some upstream lists failed, see markPartial) are returned
+ * but never cached, and the failed sources are listed in X-Upstream-Failures.
+ * @param {Cache} contentCache - Cache instance to use
+ * @param {string} cacheId - Cache key
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {string} label - Log label (e.g. 'CLASSES')
+ * @param {Function} fetcher - Async function returning the content array
+ * @param {object} res - Optional Express response to flag stale data on
+ * @param {Function} onProgress - Optional callback told whether the cache was hit
+ * @returns {Promise<Array>} - Cached or freshly fetched content
+ */
+async function loadCachedContent(contentCache, cacheId, bustCache, label, fetcher, res = null, onProgress = null) {
+  const refresh = () => contentFlights.run(`${contentCache.name}:${cacheId}`, async () => {
+    const data = await fetcher();
+    if (partialContent.has(data)) {
+      console.warn(`[${label}] Not caching partial result (${partialContent.get(data).length} upstream failures)`);
+    } else {
+      contentCache.add(cacheId, data);
+    }
+    return data;
+  });
+
+  // Check cache first (unless bustCache is true)
+  if (!bustCache) {
+    const cached = await contentCache.lookup(cacheId);
+    if (cached.exists) {
+      if (cached.stale) {
+        console.log(`[${label}] Returning stale data, refreshing in background`);
+        refresh().catch(error => {
+          console.error(`[${label}] Background refresh failed:`, error.message);
+        });
+        if (res) res.set('X-Cache-Stale', 'true');
+      } else {
+        console.log(`[${label}] Returning cached data`);
+      }
+      if (onProgress) {
+        onProgress({ stage: 'cache', message: cached.stale ? 'Cache hit (stale, refreshing)' : 'Cache hit', hit: true, stale: cached.stale });
+      }
+      // Served without D&D Beyond (unless another load for this response missed)
+      if (res && res.locals.cacheHit !== false) res.locals.cacheHit = true;
+      return cached.data;
+    }
+  } else {
+    console.log(`[${label}] Cache busting enabled - forcing fresh fetch`);
+  }
+
+  if (onProgress) {
+    onProgress({ stage: 'cache', message: 'Cache miss, fetching from D&D Beyond', hit: false, stale: false });
+  }
+  if (res) res.locals.cacheHit = false;
+
+  const data = await refresh();
+  const failures = partialContent.get(data);
+  // A streamed response has already sent its headers; its job/log carries the failures instead
+  if (failures && res && !res.headersSent) {
+    res.set('X-Upstream-Failures', failures.map(failure => failure.source).join(', '));
+  }
+  return data;
+}
+
+/**
+ * Flag a content array as partial so it isn't cached and the failures reach the caller
+ * @param {Array} data - Content array being returned
+ * @param {Array} failures - Upstream failures ({source, status, message})
+ * @returns {Array} - The same array
+ */
+function markPartial(data, failures) {
+  if (failures && failures.length > 0) {
+    partialContent.set(data, failures);
+  }
+  return data;
+}
+
+/**
+ * Upstream failures recorded for a content array by markPartial()
+ * @param {Array} data - Content array
+ * @returns {Array|null} - Failures, or null if the content is complete
+ */
+function getPartialFailures(data) {
+  return partialContent.get(data) || null;
+}
+
+/**
+ * Pick the HTTP status for a failed D&D Beyond request
+ * While the upstream circuit is open the client is told when to retry
+ * @param {Error} error - What went wrong
+ * @param {object} res - Express response (for Retry-After)
+ * @returns {number} - HTTP status
+ */
+function upstreamErrorStatus(error, res) {
+  if (error.code === 'UPSTREAM_UNAVAILABLE') {
+    res.set('Retry-After', String(error.retryAfter));
+    return 503;
+  }
+  if (error.code === 'UNEXPECTED_RESPONSE') {
+    return 502;
+  }
+  return error.message.includes('timeout') ? 504 : 500;
+}
+
+/**
+ * Answer a cookie check that D&D Beyond couldn't complete
+ * An outage says nothing about the cookie, so sessions are kept and the
+ * client is told when to try again
+ * @param {Error} error - Why the auth service didn't answer
+ * @param {object} res - Express response
+ */
+function authServiceUnavailable(error, res) {
+  console.error('[AUTH] Cookie check failed:', error.message);
+  res.set('Retry-After', String(error.retryAfter || Math.ceil(UPSTREAM.COOLDOWN / 1000)));
+  res.status(503).json({
+    error: 'Service unavailable',
+    message: `Could not check the cookie with D&D Beyond: ${error.message}`
+  });
+}
+
+/**
+ * Load enhanced items for an account, from cache when possible
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @param {object} res - Optional Express response to flag stale data on
+ * @param {object} hooks - Optional {onRecord, onProgress} callbacks for a fresh fetch (NDJSON streaming, job progress)
+ * @returns {Promise<Array>} - Enhanced items
+ */
+async function loadItems(cobaltCookie, sourceBookIds = null, bustCache = false, sharing = {}, res = null, hooks = {}) {
+  const cacheId = getContentCacheId(cobaltCookie, sourceBookIds, sharing);
+
+  return loadCachedContent(itemsCache, cacheId, bustCache, 'ITEMS', async () => {
+    // Fetch items with enhanced data (source books, etc.)
+    console.log('[ITEMS] Fetching enhanced item data...');
+    const itemsData = await fetchAllItems(cobaltCookie, sourceBookIds, { ...sharing, ...hooks });
+
+    // Store for combined report
+    recentImports.items = itemsData;
+    recentImports.lastUpdate.items = Date.now();
+    maybeGenerateCombinedReport();
+
+    // Only the items array is cached (for backward compatibility)
+    return itemsData.items;
+  }, res, hooks.onProgress);
+}
+
+/**
+ * Load enhanced spells for an account, from cache when possible
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @param {object} res - Optional Express response to flag stale data on
+ * @param {object} hooks - Optional {onRecord, onProgress} callbacks for a fresh fetch (NDJSON streaming, job progress)
+ * @returns {Promise<Array>} - Enhanced spells
+ */
+async function loadSpells(cobaltCookie, sourceBookIds = null, bustCache = false, sharing = {}, res = null, hooks = {}) {
+  const cacheId = getContentCacheId(cobaltCookie, sourceBookIds, sharing);
+
+  return loadCachedContent(spellsCache, cacheId, bustCache, 'SPELLS', async () => {
+    // Fetch spells with enhanced data (class availability, ritual, concentration, etc.)
+    console.log('[SPELLS] Fetching enhanced spell data...');
+    const spellsData = await fetchAllSpells(cobaltCookie, sourceBookIds, { ...sharing, ...hooks });
+
+    // Store for combined report
+    recentImports.spells = spellsData;
+    recentImports.lastUpdate.spells = Date.now();
+    maybeGenerateCombinedReport();
+
+    // Only the spells array is cached (for backward compatibility)
+    return markPartial(spellsData.spells, spellsData.failures);
+  }, res, hooks.onProgress);
+}
+
+/**
+ * Load enhanced character options (feats, species or backgrounds), from cache when possible
+ * @param {string} type - 'feats', 'species' or 'backgrounds'
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @param {object} res - Optional Express response to flag stale data on
+ * @returns {Promise<Array>} - Enhanced character options
+ */
+async function loadCharacterOptions(type, cobaltCookie, sourceBookIds = null, bustCache = false, sharing = {}, res = null) {
+  const cacheId = `${getContentCacheId(cobaltCookie, sourceBookIds, sharing)}_${type}`;
+
+  return loadCachedContent(characterOptionsCache, cacheId, bustCache, type.toUpperCase(), async () => {
+    const data = await CHARACTER_OPTION_FETCHERS[type](cobaltCookie, sourceBookIds, sharing);
+    return data[type];
+  }, res);
+}
+
+/**
+ * Load normalized class or subclass definitions, from cache when possible
+ * @param {string} type - 'classes' or 'subclasses'
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @param {object} res - Optional Express response to flag stale data on
+ * @returns {Promise<Array>} - Normalized definitions
+ */
+async function loadClasses(type, cobaltCookie, sourceBookIds = null, bustCache = false, sharing = {}, res = null) {
+  const cacheId = `${getContentCacheId(cobaltCookie, sourceBookIds, sharing)}_${type}`;
+
+  return loadCachedContent(classesCache, cacheId, bustCache, 'CLASSES', async () => {
+    const data = type === 'classes'
+      ? await fetchAllClasses(cobaltCookie, sourceBookIds, sharing)
+      : await fetchAllSubclasses(cobaltCookie, sourceBookIds, sharing);
+    return markPartial(data[type], data.failures);
+  }, res);
+}
+
+/**
+ * Load normalized vehicle stat blocks, from cache when possible
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @param {object} res - Optional Express response to flag stale data on
+ * @returns {Promise<Array>} - Normalized vehicles
+ */
+async function loadVehicles(cobaltCookie, sourceBookIds = null, bustCache = false, sharing = {}, res = null) {
+  const cacheId = getContentCacheId(cobaltCookie, sourceBookIds, sharing);
+
+  return loadCachedContent(vehiclesCache, cacheId, bustCache, 'VEHICLES', async () => {
+    const data = await fetchAllVehicles(cobaltCookie, sourceBookIds, sharing);
+    return data.vehicles;
+  }, res);
+}
+
+/**
+ * Load the account's homebrew collection of the given type
+ * Items and spells come from the cached content lists; subclasses are cached separately
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {string} contentType - 'magic-items', 'spells' or 'subclasses'
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} sharing - Sharing options from parseSharingOptions()
+ * @param {object} res - Optional Express response to flag stale data on
+ * @returns {Promise<Array>} - Homebrew entries marked with isHomebrew
+ */
+async function loadHomebrew(cobaltCookie, contentType, bustCache = false, sharing = {}, res = null) {
+  if (contentType === 'magic-items') {
+    return collectHomebrewItems(await loadItems(cobaltCookie, null, bustCache, sharing, res));
+  }
+
+  if (contentType === 'spells') {
+    return collectHomebrewSpells(await loadSpells(cobaltCookie, null, bustCache, sharing, res));
+  }
+
+  const cacheId = `${getContentCacheId(cobaltCookie, null, sharing)}_subclasses`;
+
+  return loadCachedContent(homebrewCache, cacheId, bustCache, 'HOMEBREW', async () => {
+    const data = await fetchHomebrewSubclasses(cobaltCookie, sharing);
+    return markPartial(data.subclasses, data.failures);
+  }, res);
+}
+
+/**
+ * Load enhanced monsters for an account, from cache when possible
+ * The search term is part of the cache key; CR/type/size filters run on the cached list
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional source book filter
+ * @param {string} search - Optional name search
+ * @param {boolean} bustCache - Force a fresh fetch
+ * @param {object} res - Optional Express response to flag stale data on
+ * @param {object} hooks - Optional {onProgress} callback for job progress
+ * @returns {Promise<Array>} - Enhanced monsters
+ */
+async function loadMonsters(cobaltCookie, sourceBookIds = null, search = null, bustCache = false, res = null, hooks = {}) {
+  let cacheId = getContentCacheId(cobaltCookie, sourceBookIds);
+  if (search) {
+    cacheId = `${cacheId}_search_${search.toLowerCase()}`;
+  }
+
+  return loadCachedContent(monstersCache, cacheId, bustCache, 'MONSTERS', async () => {
+    console.log('[MONSTERS] Fetching enhanced monster data...');
+    const monstersData = await fetchAllMonsters(cobaltCookie, sourceBookIds, search, hooks);
+    return markPartial(monstersData.monsters, monstersData.failures);
+  }, res, hooks.onProgress);
+}
+
+/**
+ * Stream a content list as NDJSON
+ * Records from a fresh fetch are written as they are produced, and the fetch
+ * waits for the socket to drain when the client falls behind; cache hits (or a
+ * fetch another request already started) are written once the list is loaded.
+ * @param {object} res - Express response
+ * @param {string} label - Log label (e.g. 'ITEMS')
+ * @param {Function} load - Called with an async onRecord callback, returns the full list
+ */
+async function streamContent(res, label, load) {
+  const writer = new NdjsonWriter(res);
+  const written = new Set();
+  let live = true;
 
   try {
-    const response = await fetch(url, {
-      method: options.method || 'GET',
-      headers: {
-        'Cookie': `CobaltSession=${cobaltCookie}`,
-        'User-Agent': 'Foundry-VTT-DDB-Importer/1.0',
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      signal: controller.signal
+    const entries = await load(async record => {
+      // A stale hit's background refresh must not write into this response
+      if (!live || !writer.isOpen()) return;
+
+      written.add(record.id ?? record);
+      if (!writer.write(record)) {
+        await writer.waitForDrain();
+      }
     });
+    live = false;
+
+    await writer.writeAll(entries.filter(entry => !written.has(entry.id ?? entry)));
+    console.log(`[${label}] Streamed ${writer.count} records`);
+    writer.end();
+  } catch (error) {
+    live = false;
+    if (!writer.started) throw error;
+
+    console.error(`[${label}] Stream failed after ${writer.count} records:`, error.message);
+    writer.fail(error);
+  }
+}
+
+/**
+ * Check a list of D&D Beyond IDs from a request body
+ * IDs may be numbers or numeric strings, like the passthrough `id` parameters,
+ * but must be positive integers
+ * @param {*} value - Body value (undefined or null for none)
+ * @param {string} name - Parameter name for the error message
+ * @returns {{ids: Array<number>}|{error: string}} - Numeric IDs, or why the list was rejected
+ */
+function parseIdList(value, name) {
+  if (value === undefined || value === null) return { ids: [] };
 
-    clearTimeout(timeout);
+  if (!Array.isArray(value)) {
+    return { error: `${name} must be an array of D&D Beyond IDs` };
+  }
 
-    if (!response.ok) {
-      throw new Error(`D&D Beyond API error: ${response.status} ${response.statusText}`);
+  const ids = [];
+  for (const id of value) {
+    const number = (typeof id === 'number' || typeof id === 'string') && /^\d+$/.test(String(id)) ? Number(id) : NaN;
+    if (!Number.isSafeInteger(number) || number < 1) {
+      return { error: `${name} must only contain positive integer IDs (got ${JSON.stringify(id)})` };
     }
+    ids.push(number);
+  }
 
-    return await response.json();
+  return { ids };
+}
 
-  } catch (error) {
-    clearTimeout(timeout);
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - D&D Beyond is taking too long to respond');
+/**
+ * Find content entries by D&D Beyond ID
+ * Matches the top-level id as well as definition.id (spells keep both)
+ * @param {Array} entries - Enhanced items or spells
+ * @param {Array<number|string>} ids - IDs to look up
+ * @returns {{found: Array, missing: Array<number>}} - Matched entries and unknown IDs
+ */
+function findContentByIds(entries, ids) {
+  const byId = new Map();
+  for (const entry of entries) {
+    if (entry.id !== undefined) byId.set(Number(entry.id), entry);
+    if (entry.definition?.id !== undefined && !byId.has(Number(entry.definition.id))) {
+      byId.set(Number(entry.definition.id), entry);
+    }
+  }
+
+  const found = [];
+  const missing = [];
+  for (const id of ids) {
+    const entry = byId.get(Number(id));
+    if (entry) {
+      found.push(entry);
+    } else {
+      missing.push(Number(id));
     }
-    throw error;
   }
+
+  return { found, missing };
 }
 
 // ============================================================================
@@ -200,7 +685,13 @@ app.get('/health', (req, res) => {
     environment: NODE_ENV,
     caches: {
       spells: spellsCache.getStats(),
-      items: itemsCache.getStats()
+      items: itemsCache.getStats(),
+      monsters: monstersCache.getStats(),
+      homebrew: homebrewCache.getStats(),
+      characterOptions: characterOptionsCache.getStats(),
+      classes: classesCache.getStats(),
+      vehicles: vehiclesCache.getStats(),
+      campaigns: campaignsCache.getStats()
     }
   });
 });
@@ -256,7 +747,21 @@ app.get('/stats', (req, res) => {
     caches: {
       spells: spellsCache.getStats(),
       items: itemsCache.getStats(),
+      monsters: monstersCache.getStats(),
+      homebrew: homebrewCache.getStats(),
+      characterOptions: characterOptionsCache.getStats(),
+      classes: classesCache.getStats(),
+      vehicles: vehiclesCache.getStats(),
+      campaigns: campaignsCache.getStats(),
       legacy: cache.size
+    },
+    jobs: jobManager.getStats(),
+    sessions: sessions.getStats(),
+    upstream: upstream.getStats(),
+    inFlight: {
+      content: contentFlights.getStats(),
+      auth: tokenFlights.getStats(),
+      config: configFlight.getStats()
     }
   });
 });
@@ -266,16 +771,78 @@ app.get('/stats', (req, res) => {
 // ============================================================================
 
 /**
- * Validate Cobalt cookie is present
+ * Resolve the caller's Cobalt cookie into req.cobaltCookie (and its hash into req.accountId)
+ * Runs for every /api request. A proxy token (Authorization: Bearer) is looked up server-side; without one,
+ * a raw cobaltCookie in the body is still accepted from older module versions.
+ * A token that no longer resolves is ignored here (req.invalidSession), so public routes still answer;
+ * routes that need credentials reject it with invalidSession()
+ */
+function resolveSession(req, res, next) {
+  const authorization = req.get('Authorization');
+  req.invalidSession = false;
+
+  if (authorization?.startsWith('Bearer ')) {
+    const session = sessions.resolve(authorization.slice(7).trim());
+    if (session) {
+      req.proxySession = session;
+      req.cobaltCookie = session.cobaltCookie;
+      req.accountId = session.ownerId;
+      return next();
+    }
+
+    req.invalidSession = true;
+  }
+
+  req.proxySession = null;
+  req.cobaltCookie = req.body?.cobaltCookie ?? null;
+  req.accountId = typeof req.cobaltCookie === 'string' && req.cobaltCookie ? getCacheId(req.cobaltCookie) : null;
+  next();
+}
+
+/**
+ * Reject a proxy token that is invalid, expired or revoked
+ * @param {object} res - Express response
+ */
+function invalidSession(res) {
+  // RFC 6750: tells the module to exchange its cookie for a new token
+  res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+  return res.status(401).json({
+    error: 'Invalid session',
+    message: 'Proxy session token is invalid, expired or revoked'
+  });
+}
+
+/**
+ * Reject a request that needs a Cobalt cookie but came without one
+ * If it came with a proxy token that no longer resolves, that is the real problem
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} message - Message when no token was sent
+ */
+function credentialsRequired(req, res, message = 'Cobalt cookie is required') {
+  if (req.invalidSession) {
+    return invalidSession(res);
+  }
+  return res.status(400).json({
+    error: 'Invalid request',
+    message
+  });
+}
+
+/**
+ * Validate Cobalt cookie is present (from a proxy session or the request body)
+ * Must run after resolveSession
  */
 function validateCobaltCookie(req, res, next) {
-  const { cobaltCookie } = req.body;
+  const { cobaltCookie } = req;
 
   if (!cobaltCookie || typeof cobaltCookie !== 'string') {
-    return res.status(400).json({
-      error: 'Invalid request',
-      message: 'Cobalt cookie is required'
-    });
+    return credentialsRequired(req, res, 'Cobalt cookie or proxy session token is required');
+  }
+
+  // Cookies behind a session were checked when the session was created
+  if (req.proxySession) {
+    return next();
   }
 
   // Basic validation - should be a reasonable length JWT-like string
@@ -296,8 +863,8 @@ function validateCobaltCookie(req, res, next) {
 /**
  * Validate Cobalt cookie by testing it with D&D Beyond
  */
-app.post('/api/validate-cookie', validateCobaltCookie, async (req, res) => {
-  const { cobaltCookie } = req.body;
+app.post('/api/validate-cookie', upstreamLimiter('auth'), validateCobaltCookie, async (req, res) => {
+  const { cobaltCookie } = req;
 
   try {
     // Use new auth module to validate and get bearer token
@@ -310,145 +877,709 @@ app.post('/api/validate-cookie', validateCobaltCookie, async (req, res) => {
       });
     }
 
-    // Get the bearer token (will be cached)
-    const token = await getBearerToken(cobaltCookie);
+    // The bearer token stays on the proxy
+    res.json({ valid: true });
+
+  } catch (error) {
+    authServiceUnavailable(error, res);
+  }
+});
+
+/**
+ * Exchange a Cobalt cookie for a proxy session token
+ * Route: POST /api/session
+ * Body: { cobaltCookie }
+ */
+app.post('/api/session', upstreamLimiter('auth'), validateCobaltCookie, async (req, res) => {
+  const { cobaltCookie } = req;
 
-    res.json({
-      valid: true,
-      token: token
+  let result;
+  try {
+    result = await validateCobalt(cobaltCookie);
+  } catch (error) {
+    return authServiceUnavailable(error, res);
+  }
+
+  if (!result.valid) {
+    return res.status(401).json({
+      error: 'Invalid cookie',
+      message: result.message || 'Cookie is invalid or expired'
     });
+  }
 
+  const { token, expiresAt } = sessions.create(cobaltCookie);
+  res.status(201).json({
+    token,
+    expiresAt: new Date(expiresAt).toISOString(),
+    expiresIn: Math.floor((expiresAt - Date.now()) / 1000)
+  });
+});
+
+/**
+ * Middleware: require a proxy session token (Authorization: Bearer)
+ */
+function requireSession(req, res, next) {
+  if (req.invalidSession) {
+    return invalidSession(res);
+  }
+  if (!req.proxySession) {
+    return res.status(401).json({
+      error: 'Invalid request',
+      message: 'Proxy session token is required (Authorization: Bearer)'
+    });
+  }
+  next();
+}
+
+/**
+ * Extend the current session and get a new token for it
+ * Route: POST /api/session/refresh
+ * The cookie is re-checked with D&D Beyond, so a session ends when its cookie does
+ */
+app.post('/api/session/refresh', requireSession, upstreamLimiter('auth'), async (req, res) => {
+  let result;
+  try {
+    result = await validateCobalt(req.cobaltCookie);
   } catch (error) {
-    console.error('Cookie validation failed:', error.message);
-    res.status(401).json({
-      valid: false,
-      message: 'Cookie is invalid or expired'
+    // The session stays valid until D&D Beyond can say otherwise
+    return authServiceUnavailable(error, res);
+  }
+
+  if (!result.valid) {
+    sessions.revoke(req.proxySession);
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      error: 'Invalid session',
+      message: result.message || 'Cookie is invalid or expired'
     });
   }
+
+  const { token, expiresAt } = sessions.refresh(req.proxySession);
+  res.json({
+    token,
+    expiresAt: new Date(expiresAt).toISOString(),
+    expiresIn: Math.floor((expiresAt - Date.now()) / 1000)
+  });
+});
+
+/**
+ * End the current session (its tokens stop working immediately)
+ * Route: DELETE /api/session
+ */
+app.delete('/api/session', requireSession, (req, res) => {
+  sessions.revoke(req.proxySession);
+  res.status(204).end();
 });
 
 /**
  * Proxy Character Service requests
  * Route: POST /api/character/*
+ * Only the operations in CHARACTER_OPERATIONS are forwarded
  */
-app.post('/api/character/*', validateCobaltCookie, async (req, res) => {
-  const { cobaltCookie } = req.body;
+app.post('/api/character/*', upstreamLimiter('character'), validateCobaltCookie, async (req, res) => {
+  const { cobaltCookie } = req;
   const endpoint = req.path.replace('/api/character', '');
 
+  const match = matchOperation(CHARACTER_OPERATIONS, endpoint);
+  if (!match) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Character service path ${endpoint} is not supported`,
+      supportedOperations: describeOperations(CHARACTER_OPERATIONS, '/api/character')
+    });
+  }
+
+  const { operation, pathParams } = match;
+  const { params, error: paramError } = validateParams(operation, pathParams, req.body);
+  if (paramError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: paramError
+    });
+  }
+
   try {
-    const data = await makeAuthenticatedRequest(
-      `${DDB_CHARACTER_SERVICE}${endpoint}`,
-      cobaltCookie
-    );
+    const data = await makeAuthenticatedRequest(operation.url(params), cobaltCookie);
+    checkResponse(operation, data);
 
     res.json(data);
 
   } catch (error) {
     console.error(`Character service error (${endpoint}):`, error.message);
-    res.status(error.message.includes('timeout') ? 504 : 500).json({
+    res.status(upstreamErrorStatus(error, res)).json({
       error: 'API request failed',
       message: error.message
     });
   }
 });
 
+/**
+ * Normalized character (class levels, final ability scores, inventory, spells by source)
+ * Routes: GET  /api/characters/:id  - public characters only
+ *         POST /api/characters/:id  - optional proxy token (or cobaltCookie in body) for private characters;
+ *         an expired token is ignored for public characters
+ */
+async function handleCharacterRequest(req, res) {
+  const { id } = req.params;
+  const cobaltCookie = req.cobaltCookie || null;
+
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Character ID must be numeric'
+    });
+  }
+
+  if (cobaltCookie !== null && typeof cobaltCookie !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid cookie',
+      message: 'Cobalt cookie format is invalid'
+    });
+  }
+
+  try {
+    const character = await fetchCharacter(id, cobaltCookie);
+    res.json(character);
+
+  } catch (error) {
+    console.error(`Character error (${id}):`, error.message);
+    // Private character: the token that would have unlocked it has to be renewed first
+    if (error.status === 403 && req.invalidSession) {
+      return invalidSession(res);
+    }
+    const status = error.status === 403 || error.status === 404
+      ? error.status
+      : upstreamErrorStatus(error, res);
+    res.status(status).json({
+      error: status === 403 ? 'Forbidden' : status === 404 ? 'Not found' : 'API request failed',
+      message: error.message
+    });
+  }
+}
+
+app.get('/api/characters/:id', upstreamLimiter('character'), handleCharacterRequest);
+app.post('/api/characters/:id', upstreamLimiter('character'), handleCharacterRequest);
+
+/**
+ * Campaign directory (campaigns, DM, player characters, sharing status)
+ * Route: POST /api/campaigns
+ */
+app.post('/api/campaigns', upstreamLimiter('campaigns'), validateCobaltCookie, async (req, res) => {
+  const { cobaltCookie } = req;
+  const { bustCache } = req.body;
+
+  try {
+    const campaigns = await loadCachedContent(campaignsCache, getCacheId(cobaltCookie), bustCache, 'CAMPAIGNS', async () => {
+      const data = await fetchCampaigns(cobaltCookie);
+      return data.campaigns;
+    }, res);
+
+    console.log(`[CAMPAIGNS] Returning ${campaigns.length} campaigns`);
+    res.json(campaigns);
+
+  } catch (error) {
+    console.error('Campaign directory error:', error.message);
+    const status = error.message.includes('Cobalt cookie')
+      ? 401
+      : upstreamErrorStatus(error, res);
+    res.status(status).json({
+      error: 'API request failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Content loaders available to fetch jobs, by job type
+ * Each takes (cobaltCookie, params, onProgress, res) with the parsed parameters from POST /api/jobs
+ * and a stand-in response whose locals record cache hits (the real one has already been sent);
+ * items, spells and monsters report detailed progress, the rest only start and finish
+ */
+const JOB_LOADERS = {
+  items: (cobaltCookie, params, onProgress, res) =>
+    loadItems(cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res, { onProgress }),
+  spells: (cobaltCookie, params, onProgress, res) =>
+    loadSpells(cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res, { onProgress }),
+  monsters: async (cobaltCookie, params, onProgress, res) => {
+    const monsters = await loadMonsters(cobaltCookie, params.sourceBookIds, params.search, params.bustCache, res, { onProgress });
+    // Filtering makes a new array, so carry over a truncated bestiary's failures
+    return markPartial(filterMonsters(monsters, params.monsterFilters), getPartialFailures(monsters));
+  },
+  feats: (cobaltCookie, params, onProgress, res) => loadCharacterOptions('feats', cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res),
+  species: (cobaltCookie, params, onProgress, res) => loadCharacterOptions('species', cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res),
+  backgrounds: (cobaltCookie, params, onProgress, res) => loadCharacterOptions('backgrounds', cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res),
+  classes: (cobaltCookie, params, onProgress, res) => loadClasses('classes', cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res),
+  subclasses: (cobaltCookie, params, onProgress, res) => loadClasses('subclasses', cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res),
+  vehicles: (cobaltCookie, params, onProgress, res) => loadVehicles(cobaltCookie, params.sourceBookIds, params.bustCache, params.sharing, res),
+  homebrew: async (cobaltCookie, params, onProgress, res) => {
+    const [items, spells, subclasses] = await Promise.all([
+      loadHomebrew(cobaltCookie, 'magic-items', params.bustCache, params.sharing, res),
+      loadHomebrew(cobaltCookie, 'spells', params.bustCache, params.sharing, res),
+      loadHomebrew(cobaltCookie, 'subclasses', params.bustCache, params.sharing, res)
+    ]);
+    return { items, spells, subclasses };
+  }
+};
+
+/**
+ * Start a background fetch job
+ * Route: POST /api/jobs
+ * Body: { type, sourceBookIds?, bustCache?, campaignId?, sharingSetting?, search?, ...monster filters }
+ * Needs a proxy session, like every other job route. Returns 202 with the job status;
+ * poll GET /api/jobs/:id, then download GET /api/jobs/:id/result
+ */
+app.post('/api/jobs', requireSession, upstreamLimiter('content'), (req, res) => {
+  const { cobaltCookie } = req;
+  const { type, sourceBookIds, bustCache, search } = req.body;
+
+  const loader = JOB_LOADERS[type];
+  if (!loader) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `type must be one of ${Object.keys(JOB_LOADERS).join(', ')}`
+    });
+  }
+
+  if (sourceBookIds !== undefined && sourceBookIds !== null && !Array.isArray(sourceBookIds)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'sourceBookIds must be an array of source IDs'
+    });
+  }
+
+  if (search !== undefined && search !== null && typeof search !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'search must be a string'
+    });
+  }
+
+  const sharing = parseSharingOptions(req.body);
+  if (sharing.error) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: sharing.error
+    });
+  }
+
+  const { minChallengeRating, maxChallengeRating, creatureTypes, sizes } = req.body;
+  const params = {
+    sourceBookIds: sourceBookIds || null,
+    bustCache: Boolean(bustCache),
+    sharing: sharing.options,
+    search: search || null,
+    monsterFilters: { minChallengeRating, maxChallengeRating, creatureTypes, sizes }
+  };
+
+  // Only non-sensitive parameters are echoed back in the job status
+  const job = jobManager.create(req.accountId, type, {
+    sourceBookIds: params.sourceBookIds,
+    campaignId: params.sharing.campaignId,
+    sharingSetting: params.sharing.sharingSetting,
+    search: params.search
+  }, async (reportProgress, reportFailures) => {
+    // The 202 has been sent by now, so the upstream layer can't see whether this was a cache hit
+    const jobResponse = { locals: {}, headersSent: true, set: () => jobResponse };
+    const result = await loader(cobaltCookie, params, reportProgress, jobResponse);
+    if (jobResponse.locals.cacheHit === true) {
+      await refundUpstream('content', req);
+    }
+    reportFailures(getPartialFailures(result));
+    return result;
+  });
+
+  if (!job) {
+    return res.status(429).json({
+      error: 'Too many jobs',
+      message: `At most ${jobManager.maxActivePerAccount} jobs can run at once per account`
+    });
+  }
+
+  res.status(202)
+    .set('Location', `/api/jobs/${job.id}`)
+    .json({
+      ...jobManager.describe(job),
+      statusUrl: `/api/jobs/${job.id}`,
+      resultUrl: `/api/jobs/${job.id}/result`
+    });
+});
+
+/**
+ * Middleware: look up the job in req.params.id for the account behind the proxy
+ * token. Must run after requireSession.
+ * Jobs of other accounts are reported as not found
+ */
+function loadJob(req, res, next) {
+  const job = jobManager.get(req.params.id, req.accountId);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No job with id ${req.params.id} (finished jobs expire after ${jobManager.ttlMs / 60000} minutes)`
+    });
+  }
+
+  req.job = job;
+  next();
+}
+
+/**
+ * Poll a fetch job's status and progress
+ * Route: GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', requireSession, loadJob, (req, res) => {
+  res.json(jobManager.describe(req.job));
+});
+
+/**
+ * Live progress for a fetch job (Server-Sent Events)
+ * Route: GET /api/jobs/:id/events
+ * Sends the current status first, then 'status', 'progress' and 'done' events,
+ * and closes the stream after 'done'
+ */
+app.get('/api/jobs/:id/events', requireSession, loadJob, (req, res) => {
+  const { job } = req;
+  const stream = new EventStream(res);
+
+  stream.send('status', jobManager.describe(job));
+
+  if (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) {
+    stream.send('done', jobManager.describe(job));
+    stream.close();
+    return;
+  }
+
+  const unsubscribe = jobManager.subscribe(job, (event, data) => {
+    stream.send(event, data);
+    if (event === 'done') stream.close();
+  });
+  res.on('close', unsubscribe);
+});
+
+/**
+ * Download a finished fetch job's result
+ * Route: GET /api/jobs/:id/result
+ * 409 while the job is still pending or running
+ */
+app.get('/api/jobs/:id/result', requireSession, loadJob, conditionalJson, (req, res) => {
+  const { job } = req;
+
+  if (job.status === JOB_STATUS.FAILED) {
+    return res.status(500).json({
+      error: 'Job failed',
+      message: job.error
+    });
+  }
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({
+      error: 'Job not finished',
+      message: `Job is ${job.status}; poll /api/jobs/${job.id} until it has completed`
+    });
+  }
+
+  if (job.failures.length > 0) {
+    res.set('X-Upstream-Failures', job.failures.map(failure => failure.source).join(', '));
+  }
+  res.json(job.result);
+});
+
 /**
  * Proxy Game Data API requests (items, spells, sources)
  * Route: POST /api/content/*
+ * Successful responses carry an ETag; a matching If-None-Match gets a 304
  */
-app.post('/api/content/*', async (req, res) => {
-  const { cobaltCookie, bustCache, sourceBookIds } = req.body;
+app.post('/api/content/*', upstreamLimiter('content'), conditionalJson, async (req, res) => {
+  const { cobaltCookie } = req;
+  const { bustCache, sourceBookIds } = req.body;
   const endpoint = req.path.replace('/api/content', '');
 
   try {
     let url;
     let data;
+    let operation;
 
     // Map endpoints to correct D&D Beyond game-data URLs
+    // Campaign sharing options apply to every per-account content route
+    const sharing = parseSharingOptions(req.body);
+    if (sharing.error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: sharing.error
+      });
+    }
+    const sharingOptions = sharing.options;
+
+    // Optional pagination for the item and spell lists
+    const pagination = parsePagination(req.body);
+    if (pagination.error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: pagination.error
+      });
+    }
+
+    const detailMatch = endpoint.match(/^\/(items|spells)\/(\d+)$/);
+    const homebrewMatch = endpoint.match(/^\/homebrew(?:\/(magic-items|spells|subclasses)(?:\/(\d+))?)?$/);
+
+    // NDJSON streaming is an alternative to pagination, not combined with it
+    const streaming = (endpoint === '/items' || endpoint === '/spells') && wantsNdjson(req);
+    if (streaming && pagination.options) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Pagination is not supported for NDJSON streams'
+      });
+    }
+
     if (endpoint === '/items') {
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
+
+      if (streaming) {
+        return await streamContent(res, 'ITEMS', onRecord =>
+          loadItems(cobaltCookie, sourceBookIds, bustCache, sharingOptions, res, { onRecord }));
+      }
+
       // NEW: Use enhanced item fetching with source book extraction
-      const baseCacheId = getCacheId(cobaltCookie);
-      // Include sourceBookIds in cache key if provided
-      const cacheId = sourceBookIds && sourceBookIds.length > 0
-        ? `${baseCacheId}_sources_${sourceBookIds.sort().join('_')}`
-        : baseCacheId;
-
-      // Check cache first (unless bustCache is true)
-      if (!bustCache) {
-        const cached = itemsCache.exists(cacheId);
-        if (cached.exists) {
-          console.log('[ITEMS] Returning cached items');
-          return res.json(cached.data);
+      const items = await loadItems(cobaltCookie, sourceBookIds, bustCache, sharingOptions, res);
+
+      if (pagination.options) {
+        const result = paginate(items, pagination.options);
+        if (result.error) {
+          return res.status(409).json({
+            error: 'Pagination cursor expired',
+            message: result.error
+          });
         }
-      } else {
-        console.log('[ITEMS] Cache busting enabled - forcing fresh fetch');
+        console.log(`[ITEMS] Returning page ${result.pagination.page}/${result.pagination.totalPages} (${result.data.length} of ${items.length} items)`);
+        return res.json(result);
       }
 
-      // Fetch items with enhanced data (source books, etc.)
-      console.log('[ITEMS] Fetching enhanced item data...');
-      const itemsData = await fetchAllItems(cobaltCookie, sourceBookIds);
+      console.log(`[ITEMS] Returning ${items.length} enhanced items`);
+      return res.json(items);
 
-      // Store for combined report
-      recentImports.items = itemsData;
-      recentImports.lastUpdate.items = Date.now();
+    } else if (endpoint === '/spells') {
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
 
-      // Cache the items array (for backward compatibility)
-      itemsCache.add(cacheId, itemsData.items);
+      if (streaming) {
+        return await streamContent(res, 'SPELLS', onRecord =>
+          loadSpells(cobaltCookie, sourceBookIds, bustCache, sharingOptions, res, { onRecord }));
+      }
 
-      // Generate combined report if both items and spells were fetched recently (within 5 minutes)
-      const timeDiff = Math.abs(recentImports.lastUpdate.items - recentImports.lastUpdate.spells);
-      if (recentImports.spells && timeDiff < 300000) { // 5 minutes
-        generateCombinedReport(recentImports.items, recentImports.spells);
+      // NEW: Use enhanced spell fetching with class availability
+      const spells = await loadSpells(cobaltCookie, sourceBookIds, bustCache, sharingOptions, res);
+
+      if (pagination.options) {
+        const result = paginate(spells, pagination.options);
+        if (result.error) {
+          return res.status(409).json({
+            error: 'Pagination cursor expired',
+            message: result.error
+          });
+        }
+        console.log(`[SPELLS] Returning page ${result.pagination.page}/${result.pagination.totalPages} (${result.data.length} of ${spells.length} spells)`);
+        return res.json(result);
       }
 
-      console.log(`[ITEMS] Returning ${itemsData.items.length} enhanced items`);
-      return res.json(itemsData.items);
+      console.log(`[SPELLS] Returning ${spells.length} enhanced spells`);
+      return res.json(spells);
 
-    } else if (endpoint === '/spells') {
-      // NEW: Use enhanced spell fetching with class availability
-      const baseCacheId = getCacheId(cobaltCookie);
-      // Include sourceBookIds in cache key if provided
-      const cacheId = sourceBookIds && sourceBookIds.length > 0
-        ? `${baseCacheId}_sources_${sourceBookIds.sort().join('_')}`
-        : baseCacheId;
-
-      // Check cache first (unless bustCache is true)
-      if (!bustCache) {
-        const cached = spellsCache.exists(cacheId);
-        if (cached.exists) {
-          console.log('[SPELLS] Returning cached spells');
-          return res.json(cached.data);
+    } else if (detailMatch) {
+      // Single item/spell detail, served from the cached (unfiltered) list
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
+
+      const [, contentType, contentId] = detailMatch;
+      const entries = contentType === 'items'
+        ? await loadItems(cobaltCookie, null, false, sharingOptions, res)
+        : await loadSpells(cobaltCookie, null, false, sharingOptions, res);
+      const { found } = findContentByIds(entries, [contentId]);
+
+      if (found.length === 0) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No ${contentType === 'items' ? 'item' : 'spell'} with id ${contentId} is available to this account`
+        });
+      }
+
+      return res.json(found[0]);
+
+    } else if (endpoint === '/details') {
+      // Batch item/spell details: { items: [ids], spells: [ids] }
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
+
+      const items = parseIdList(req.body.items, 'items');
+      const spells = parseIdList(req.body.spells, 'spells');
+      const idError = items.error || spells.error;
+      if (idError) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: idError
+        });
+      }
+      const itemIds = items.ids;
+      const spellIds = spells.ids;
+
+      if (itemIds.length + spellIds.length > CONSTANTS.MAX_DETAIL_BATCH_SIZE) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `At most ${CONSTANTS.MAX_DETAIL_BATCH_SIZE} ids can be requested per batch`
+        });
+      }
+
+      const itemResult = itemIds.length > 0
+        ? findContentByIds(await loadItems(cobaltCookie, null, false, sharingOptions, res), itemIds)
+        : { found: [], missing: [] };
+      const spellResult = spellIds.length > 0
+        ? findContentByIds(await loadSpells(cobaltCookie, null, false, sharingOptions, res), spellIds)
+        : { found: [], missing: [] };
+
+      console.log(`[DETAILS] Returning ${itemResult.found.length} items and ${spellResult.found.length} spells`);
+      return res.json({
+        items: itemResult.found,
+        spells: spellResult.found,
+        missing: {
+          items: itemResult.missing,
+          spells: spellResult.missing
         }
-      } else {
-        console.log('[SPELLS] Cache busting enabled - forcing fresh fetch');
+      });
+
+    } else if (['/feats', '/species', '/backgrounds'].includes(endpoint)) {
+      // Character options: feats, species and backgrounds
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
+
+      const type = endpoint.substring(1);
+      const entries = await loadCharacterOptions(type, cobaltCookie, sourceBookIds, bustCache, sharingOptions, res);
+
+      console.log(`[${type.toUpperCase()}] Returning ${entries.length} enhanced ${type}`);
+      return res.json(entries);
+
+    } else if (endpoint === '/classes' || endpoint === '/subclasses') {
+      // Class/subclass definitions with feature and spell slot progression
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
       }
 
-      // Fetch spells with enhanced data (class availability, ritual, concentration, etc.)
-      console.log('[SPELLS] Fetching enhanced spell data...');
-      const spellsData = await fetchAllSpells(cobaltCookie, sourceBookIds);
+      const type = endpoint.substring(1);
+      let definitions = await loadClasses(type, cobaltCookie, sourceBookIds, bustCache, sharingOptions, res);
 
-      // Store for combined report
-      recentImports.spells = spellsData;
-      recentImports.lastUpdate.spells = Date.now();
+      // Optionally narrow subclasses to one base class
+      const { classId } = req.body;
+      if (type === 'subclasses' && classId) {
+        definitions = definitions.filter(subclass => subclass.classId === Number(classId));
+      }
+
+      console.log(`[CLASSES] Returning ${definitions.length} ${type}`);
+      return res.json(definitions);
+
+    } else if (endpoint === '/vehicles') {
+      // Ships, infernal war machines and spelljammers
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
+
+      const vehicles = await loadVehicles(cobaltCookie, sourceBookIds, bustCache, sharingOptions, res);
 
-      // Cache the spells array (for backward compatibility)
-      spellsCache.add(cacheId, spellsData.spells);
+      console.log(`[VEHICLES] Returning ${vehicles.length} vehicles`);
+      return res.json(vehicles);
 
-      // Generate combined report if both items and spells were fetched recently (within 5 minutes)
-      const timeDiff = Math.abs(recentImports.lastUpdate.items - recentImports.lastUpdate.spells);
-      if (recentImports.items && timeDiff < 300000) { // 5 minutes
-        generateCombinedReport(recentImports.items, recentImports.spells);
+    } else if (homebrewMatch) {
+      // Homebrew collection: /homebrew, /homebrew/:type or /homebrew/:type/:id
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
       }
 
-      console.log(`[SPELLS] Returning ${spellsData.spells.length} enhanced spells`);
-      return res.json(spellsData.spells);
+      const [, contentType, contentId] = homebrewMatch;
+
+      if (!contentType) {
+        const [items, spells, subclasses] = await Promise.all([
+          loadHomebrew(cobaltCookie, 'magic-items', bustCache, sharingOptions, res),
+          loadHomebrew(cobaltCookie, 'spells', bustCache, sharingOptions, res),
+          loadHomebrew(cobaltCookie, 'subclasses', bustCache, sharingOptions, res)
+        ]);
+
+        console.log(`[HOMEBREW] Returning ${items.length} items, ${spells.length} spells, ${subclasses.length} subclasses`);
+        return res.json({ items, spells, subclasses });
+      }
+
+      const entries = await loadHomebrew(cobaltCookie, contentType, bustCache, sharingOptions, res);
+
+      if (!contentId) {
+        console.log(`[HOMEBREW] Returning ${entries.length} homebrew ${contentType}`);
+        return res.json(entries);
+      }
+
+      const { found } = findContentByIds(entries, [contentId]);
+
+      if (found.length === 0) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No homebrew ${contentType} with id ${contentId} is in this account's collection`
+        });
+      }
+
+      return res.json(found[0]);
+
+    } else if (endpoint === '/monsters') {
+      // Monsters are paged from the monster service, then filtered locally
+      if (!cobaltCookie) {
+        return credentialsRequired(req, res);
+      }
+
+      const { search, minChallengeRating, maxChallengeRating, creatureTypes, sizes } = req.body;
+      if (search !== undefined && search !== null && typeof search !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'search must be a string'
+        });
+      }
+
+      const monsters = await loadMonsters(cobaltCookie, sourceBookIds, search, bustCache, res);
+
+      const filteredMonsters = filterMonsters(monsters, {
+        minChallengeRating,
+        maxChallengeRating,
+        creatureTypes,
+        sizes
+      });
+
+      console.log(`[MONSTERS] Returning ${filteredMonsters.length} enhanced monsters`);
+      return res.json(filteredMonsters);
 
     } else if (endpoint === '/sources') {
       // Sources don't exist as an endpoint - this should fall back to local
       throw new Error('Sources endpoint not available from D&D Beyond API');
     } else {
-      // Generic game-data endpoint
-      url = `${DDB_GAME_DATA_BASE}${endpoint}`;
+      // Raw game-data operation, only those listed in GAME_DATA_OPERATIONS
+      const match = matchOperation(GAME_DATA_OPERATIONS, endpoint);
+      if (!match) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Content path ${endpoint} is not supported`,
+          supportedOperations: [
+            ...CONTENT_OPERATIONS,
+            ...describeOperations(GAME_DATA_OPERATIONS, '/api/content')
+          ]
+        });
+      }
+
+      const { params, error: paramError } = validateParams(match.operation, match.pathParams, req.body);
+      if (paramError) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: paramError
+        });
+      }
+
+      operation = match.operation;
+      url = operation.url(params, sharingOptions);
     }
 
     if (cobaltCookie) {
@@ -459,7 +1590,7 @@ app.post('/api/content/*', async (req, res) => {
       const bearerToken = await getBearerToken(cobaltCookie);
 
       // Make authenticated GET request with bearer token (no Content-Type)
-      const response = await fetch(url, {
+      const response = await upstream.fetch(url, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${bearerToken}`,
@@ -478,7 +1609,7 @@ app.post('/api/content/*', async (req, res) => {
       // Anonymous request (public data)
       console.log(`[API] Fetching ${endpoint} anonymously`);
 
-      const response = await fetch(url, {
+      const response = await upstream.fetch(url, {
         headers: {
           'User-Agent': CONSTANTS.USER_AGENT,
           'Accept': 'application/json'
@@ -492,11 +1623,12 @@ app.post('/api/content/*', async (req, res) => {
       data = await response.json();
     }
 
+    checkResponse(operation, data);
     res.json(data);
 
   } catch (error) {
     console.error(`Game Data API error (${endpoint}):`, error.message);
-    res.status(error.message.includes('timeout') ? 504 : 500).json({
+    res.status(upstreamErrorStatus(error, res)).json({
       error: 'API request failed',
       message: error.message
     });
@@ -518,8 +1650,18 @@ app.use((req, res) => {
       'GET  /health',
       'GET  /ping',
       'POST /api/validate-cookie',
+      'POST /api/session',
+      'POST /api/session/refresh',
+      'DELETE /api/session',
       'POST /api/character/*',
-      'POST /api/content/*'
+      'GET  /api/characters/:id',
+      'POST /api/characters/:id',
+      'POST /api/campaigns',
+      'POST /api/content/*',
+      'POST /api/jobs',
+      'GET  /api/jobs/:id',
+      'GET  /api/jobs/:id/events',
+      'GET  /api/jobs/:id/result'
     ]
   });
 });
@@ -544,6 +1686,7 @@ const server = app.listen(PORT, () => {
   console.log('║   D&D Beyond Foundry Proxy Server (Production)     ║');
   console.log('╚══════════════════════════════════════════════════════╝\n');
   console.log(`✓ Environment: ${NODE_ENV}`);
+  console.log(`✓ Access: ${describeAccess()}`);
   console.log(`✓ Server running on port ${PORT}`);
   console.log(`✓ Health check: http://localhost:${PORT}/health`);
   console.log(`✓ Ready to serve requests\n`);
@@ -566,13 +1709,12 @@ function gracefulShutdown(signal) {
   server.close(() => {
     console.log('Server closed');
 
-    // Clear all caches
-    spellsCache.clear();
-    itemsCache.clear();
+    // Cache entries are kept in storage across restarts; just finish pending writes
     cache.clear();
-
-    console.log('Caches cleared');
-    process.exit(0);
+    getDefaultStorage().flush().finally(() => {
+      console.log('Cache storage flushed');
+      process.exit(0);
+    });
   });
 
   // Force close after 10 seconds
@@ -0,0 +1,248 @@
+/**
+ * Proxy Sessions
+ *
+ * The module exchanges its Cobalt cookie once (POST /api/session) for a
+ * short-lived proxy token and sends that token instead of the cookie on every
+ * later request. The cookie stays on the proxy, in memory only, so it can be
+ * exchanged for D&D Beyond bearer tokens; those never leave the proxy.
+ *
+ * Tokens are `<payload>.<signature>`: a base64url JSON payload
+ * `{sid, sub, exp}` (session ID, cookie hash, expiry) signed with HMAC-SHA256.
+ * A token is only accepted while its session is still held here, so revoking
+ * the session (or restarting the proxy) invalidates it immediately.
+ *
+ * Sessions hold the Cobalt cookie, so they are kept in this process's memory
+ * only and never written to cache storage. With several instances, requests
+ * must be routed to the instance that created the session (sticky sessions);
+ * elsewhere the module is told its token is invalid and starts a new session.
+ */
+
+import crypto from 'crypto';
+import { getCacheId } from './auth.js';
+import { SESSIONS } from './config.js';
+
+export class SessionManager {
+  /**
+   * Create a new session manager
+   * @param {object} options - Options
+   * @param {string|null} options.secret - Signing secret (random per process when unset)
+   * @param {boolean} options.requireSecret - Throw instead of generating a secret
+   * @param {number} options.ttlMs - Token lifetime; refreshing issues a new token for another ttlMs
+   * @param {number} options.maxPerAccount - Sessions kept per account (oldest revoked first)
+   * @param {number} options.cleanupIntervalMs - How often expired sessions are swept (0 disables the timer)
+   */
+  constructor({
+    secret = SESSIONS.SECRET,
+    requireSecret = SESSIONS.REQUIRE_SECRET,
+    ttlMs = SESSIONS.TTL,
+    maxPerAccount = SESSIONS.MAX_PER_ACCOUNT,
+    cleanupIntervalMs = SESSIONS.CLEANUP_INTERVAL
+  } = {}) {
+    if (!secret) {
+      if (requireSecret) {
+        throw new Error('SESSION_SECRET must be set in production (a long random string, the same on every instance)');
+      }
+      console.warn('[SESSIONS] SESSION_SECRET not set - using a random secret, tokens will not survive a restart');
+    }
+
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.ttlMs = ttlMs;
+    this.maxPerAccount = maxPerAccount;
+    this.sessions = new Map(); // session ID -> {id, ownerId, cobaltCookie, createdAt, expiresAt}
+    this.created = 0;
+    this.refreshed = 0;
+    this.revoked = 0;
+    this.rejected = 0;
+
+    this.cleanupTimer = null;
+    if (cleanupIntervalMs > 0) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Start a session for a (validated) Cobalt cookie
+   * @param {string} cobaltCookie - User's D&D Beyond session cookie
+   * @returns {{token: string, expiresAt: number}} - Signed proxy token
+   */
+  create(cobaltCookie) {
+    const ownerId = getCacheId(cobaltCookie);
+    this.evictOldest(ownerId);
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      ownerId,
+      cobaltCookie,
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    };
+
+    this.sessions.set(session.id, session);
+    this.created++;
+    console.log(`[SESSIONS] Created session ${session.id}`);
+
+    return this.issue(session);
+  }
+
+  /**
+   * Extend a session and issue a new token for it
+   * @param {object} session - Session from resolve()
+   * @returns {{token: string, expiresAt: number}} - Signed proxy token
+   */
+  refresh(session) {
+    session.expiresAt = Date.now() + this.ttlMs;
+    this.refreshed++;
+    return this.issue(session);
+  }
+
+  /**
+   * Sign a token for a session's current expiry
+   * @param {object} session - Session
+   * @returns {{token: string, expiresAt: number}}
+   */
+  issue(session) {
+    const payload = Buffer.from(JSON.stringify({
+      sid: session.id,
+      sub: session.ownerId,
+      exp: session.expiresAt
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * HMAC signature for a token payload
+   * @param {string} payload - base64url payload
+   * @returns {string} - base64url signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Look up the session behind a proxy token
+   * @param {string} token - Proxy token from create() or refresh()
+   * @returns {object|null} - The session, or null if the token is forged, expired or revoked
+   */
+  resolve(token) {
+    const session = this.verify(token);
+    if (!session) {
+      this.rejected++;
+    }
+    return session;
+  }
+
+  /**
+   * Verify a token's signature, expiry and session
+   * @param {string} token - Proxy token
+   * @returns {object|null} - The session, or null
+   */
+  verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!claims.exp || Date.now() > claims.exp) return null;
+
+    const session = this.sessions.get(claims.sid);
+    if (!session || session.ownerId !== claims.sub) return null;
+
+    if (Date.now() > session.expiresAt) {
+      this.sessions.delete(session.id);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * End a session; all of its tokens stop working
+   * @param {object} session - Session from resolve()
+   */
+  revoke(session) {
+    if (this.sessions.delete(session.id)) {
+      this.revoked++;
+      console.log(`[SESSIONS] Revoked session ${session.id}`);
+    }
+  }
+
+  /**
+   * Revoke an account's oldest sessions so a new one fits under the limit
+   * @param {string} ownerId - Account cache ID (cookie hash)
+   */
+  evictOldest(ownerId) {
+    const owned = [...this.sessions.values()]
+      .filter(session => session.ownerId === ownerId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    while (owned.length >= this.maxPerAccount) {
+      this.revoke(owned.shift());
+    }
+  }
+
+  /**
+   * Remove expired sessions (and the cookies they hold)
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [id, session] of this.sessions.entries()) {
+      if (now > session.expiresAt) {
+        this.sessions.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[SESSIONS] Cleaned up ${removed} expired sessions`);
+    }
+  }
+
+  /**
+   * Get session statistics
+   * @returns {object} - Statistics
+   */
+  getStats() {
+    return {
+      sessions: this.sessions.size,
+      created: this.created,
+      refreshed: this.refreshed,
+      revoked: this.revoked,
+      rejected: this.rejected,
+      ttlMinutes: this.ttlMs / 60000,
+      maxPerAccount: this.maxPerAccount
+    };
+  }
+
+  /**
+   * Stop the periodic cleanup timer
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+export default SessionManager;
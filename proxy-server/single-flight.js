@@ -0,0 +1,58 @@
+/**
+ * Single-Flight Request Coalescing
+ *
+ * Concurrent callers asking for the same key share one in-flight promise
+ * instead of each starting their own D&D Beyond fetch. The key is forgotten
+ * as soon as the fetch settles, so later callers go back to the cache.
+ */
+
+export class SingleFlight {
+  /**
+   * Create a new single-flight group
+   * @param {string} name - Group name for logging
+   */
+  constructor(name) {
+    this.name = name;
+    this.inFlight = new Map();
+    this.started = 0;
+    this.coalesced = 0;
+  }
+
+  /**
+   * Run fn for a key, or join the call already running for that key
+   * @param {string} key - Coalescing key (e.g. cache ID)
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<any>} - Result of the shared call
+   */
+  run(key, fn) {
+    const existing = this.inFlight.get(key);
+    if (existing) {
+      this.coalesced++;
+      console.log(`[FLIGHT ${this.name}] Joining in-flight fetch: ${key.substring(0, 16)}...`);
+      return existing;
+    }
+
+    this.started++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Get single-flight statistics
+   * @returns {object} - Statistics
+   */
+  getStats() {
+    return {
+      name: this.name,
+      inFlight: this.inFlight.size,
+      started: this.started,
+      coalesced: this.coalesced
+    };
+  }
+}
+
+export default SingleFlight;
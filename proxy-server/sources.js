@@ -6,12 +6,16 @@
  * relying on a manually maintained map.
  */
 
-import fetch from 'node-fetch';
+import { upstream } from './upstream.js';
 import { Cache } from './cache.js';
+import { SingleFlight } from './single-flight.js';
 import { CACHE_TTL } from './config.js';
 
 // Cache for D&D Beyond config (includes source definitions)
-const configCache = new Cache('DDB_CONFIG', CACHE_TTL.CONFIG);
+const configCache = new Cache('DDB_CONFIG', CACHE_TTL.CONFIG, { shared: true });
+
+// Concurrent config fetches (e.g. every content module building its source map) share one request
+export const configFlight = new SingleFlight('DDB_CONFIG');
 
 // D&D Beyond's config endpoint
 const DDB_CONFIG_URL = 'https://www.dndbeyond.com/api/config/json';
@@ -22,15 +26,23 @@ const DDB_CONFIG_URL = 'https://www.dndbeyond.com/api/config/json';
  */
 export async function fetchDDBConfig() {
   // Check cache first
-  const cached = configCache.exists('config');
+  const cached = await configCache.lookup('config');
   if (cached.exists && cached.data) {
     console.log('[SOURCES] Using cached D&D Beyond config');
     return cached.data;
   }
 
+  return configFlight.run('config', requestDDBConfig);
+}
+
+/**
+ * Request D&D Beyond's configuration and cache it
+ * @returns {Promise<object>} - Config object with sources array
+ */
+async function requestDDBConfig() {
   try {
     console.log('[SOURCES] Fetching D&D Beyond config from API...');
-    const response = await fetch(DDB_CONFIG_URL, {
+    const response = await upstream.fetch(DDB_CONFIG_URL, {
       headers: {
         'User-Agent': 'Enhanced-Importer/1.2.0',
         'Accept': 'application/json'
@@ -153,6 +165,7 @@ export function extractSourceName(source, sourceMap = null) {
 }
 
 export default {
+  configFlight,
   fetchDDBConfig,
   getSourceNameById,
   getAllSources,
@@ -4,6 +4,7 @@
  * Handles fetching and processing spell data from D&D Beyond:
  * - Fetches spells by class (Wizard, Sorcerer, etc.) at max level
  * - Extracts class availability for each spell
+ * - Extracts subclass availability (domain, oath, patron expanded spell lists)
  * - Extracts ritual, concentration, and component data
  * - Filters Unearthed Arcana content
  * - Deduplicates spells by ID
@@ -12,10 +13,11 @@
  * We fetch for all spellcasting classes at level 20 to get complete spell lists.
  */
 
-import fetch from 'node-fetch';
+import { upstream } from './upstream.js';
 import { DDB_URLS, CONSTANTS, CLASS_MAP, SPELL_SCHOOL_MAP } from './config.js';
 import { getAuthHeaders } from './auth.js';
 import { buildSourceMap, extractSourceName, getAllSources } from './sources.js';
+import { fetchRawSubclasses } from './classes.js';
 
 /**
  * Filter out Unearthed Arcana content (sourceId 39)
@@ -85,11 +87,16 @@ function extractSourceBook(spell, sourceMap) {
  * @param {object} spell - Original spell object from D&D Beyond
  * @param {string} className - Name of the class this spell was fetched for
  * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @param {Map<number, string>} subclassSpellLists - spellListId -> subclass name
  * @returns {object} - Enhanced spell object
  */
-function enhanceSpellData(spell, className, sourceMap) {
+function enhanceSpellData(spell, className, sourceMap, subclassSpellLists = new Map()) {
   const definition = spell.definition || spell;
 
+  // Spells granted by a subclass carry the subclass's spell list ID
+  const spellListId = spell.spellListId ?? definition.spellListId;
+  const subclassName = spellListId ? subclassSpellLists.get(spellListId) : null;
+
   return {
     // Preserve all original data
     ...spell,
@@ -100,6 +107,7 @@ function enhanceSpellData(spell, className, sourceMap) {
 
     // Add class availability (will be merged later)
     _classes: [className], // Temporary field for merging
+    _subclasses: subclassName ? [subclassName] : [], // Temporary field for merging
 
     // Ritual and concentration flags
     isRitual: definition.ritual === true || definition.isRitual === true,
@@ -125,53 +133,88 @@ function enhanceSpellData(spell, className, sourceMap) {
   };
 }
 
+/**
+ * Build a spellListId -> subclass name map across all spellcasting classes
+ * Subclass lookups are best-effort: a failure only loses subclass availability,
+ * and is reported in the returned failures
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {number|null} campaignId - Campaign whose shared content should be included
+ * @param {number} sharingSetting - D&D Beyond sharingSetting
+ * @returns {Promise<{spellLists: Map<number, string>, failures: Array}>} - spellListId -> subclass name, plus failed classes
+ */
+async function fetchSubclassSpellLists(cobaltCookie, campaignId, sharingSetting) {
+  const { subclasses: rawSubclasses, failures } = await fetchRawSubclasses(cobaltCookie, { campaignId, sharingSetting });
+
+  const spellLists = new Map();
+  for (const { subclass } of rawSubclasses) {
+    for (const spellListId of subclass.spellListIds || []) {
+      spellLists.set(spellListId, subclass.name);
+    }
+  }
+  return { spellLists, failures };
+}
+
 /**
  * Fetch spells for a specific class
  * @param {number} classId - D&D Beyond class ID
  * @param {string} className - Class name (e.g., "Wizard")
  * @param {string} cobaltCookie - User's D&D Beyond session cookie
- * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @param {object} context - Shared fetch context
+ * @param {Map<number, string>} context.sourceMap - Pre-built source map from D&D Beyond config
+ * @param {Map<number, string>} context.subclassSpellLists - spellListId -> subclass name
+ * @param {number|null} context.campaignId - Campaign whose shared content should be included
+ * @param {number} context.sharingSetting - D&D Beyond sharingSetting
+ * @param {boolean} context.alwaysPrepared - Fetch the always-prepared (subclass) list instead
  * @returns {Promise<Array>} - Array of spell objects for this class
+ * @throws {Error} - If the list could not be fetched (error.status is set for HTTP errors)
  */
-async function fetchSpellsByClass(classId, className, cobaltCookie, sourceMap) {
+async function fetchSpellsByClass(classId, className, cobaltCookie, context) {
+  const { sourceMap, subclassSpellLists, campaignId, sharingSetting, alwaysPrepared = false } = context;
+
   // Fetch at max level (20) to get all spells available to the class
-  const url = DDB_URLS.spells(classId, CONSTANTS.MAX_CLASS_LEVEL);
+  const url = alwaysPrepared
+    ? DDB_URLS.alwaysPreparedSpells(classId, CONSTANTS.MAX_CLASS_LEVEL, campaignId, sharingSetting)
+    : DDB_URLS.spells(classId, CONSTANTS.MAX_CLASS_LEVEL, campaignId, sharingSetting);
+  const listLabel = alwaysPrepared ? ' always-prepared' : '';
 
-  try {
-    // Get auth headers (with cached bearer token if available)
-    const headers = await getAuthHeaders(cobaltCookie, true);
+  // Get auth headers (with cached bearer token if available)
+  const headers = await getAuthHeaders(cobaltCookie, true);
 
-    console.log(`[SPELLS] Fetching spells for ${className} (classId: ${classId})...`);
+  console.log(`[SPELLS] Fetching${listLabel} spells for ${className} (classId: ${classId})...`);
 
-    const response = await fetch(url, { headers });
+  const response = await upstream.fetch(url, { headers });
 
-    if (!response.ok) {
-      console.warn(`[SPELLS] ${className} error: ${response.status} ${response.statusText}`);
-      return [];
-    }
+  if (!response.ok) {
+    console.warn(`[SPELLS] ${className} error: ${response.status} ${response.statusText}`);
+    const error = new Error(`D&D Beyond API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
 
-    const json = await response.json();
+  const json = await response.json();
 
-    // D&D Beyond returns {success: true, data: [...]}
-    if (!json.success || !json.data) {
-      console.warn(`[SPELLS] ${className} returned invalid data`);
-      return [];
-    }
+  // D&D Beyond returns {success: true, data: [...]}
+  if (!json.success || !Array.isArray(json.data)) {
+    console.warn(`[SPELLS] ${className} returned invalid data`);
+    throw new Error('Invalid spell list data from D&D Beyond');
+  }
 
-    const spells = json.data;
+  const spells = json.data;
 
-    if (!Array.isArray(spells)) {
-      console.warn(`[SPELLS] ${className} returned non-array data`);
-      return [];
-    }
-
-    console.log(`[SPELLS] ${className}: Fetched ${spells.length} spells`);
-    return spells.map(spell => enhanceSpellData(spell, className, sourceMap));
+  console.log(`[SPELLS] ${className}: Fetched ${spells.length}${listLabel} spells`);
+  const enhanced = spells.map(spell => enhanceSpellData(spell, className, sourceMap, subclassSpellLists));
 
-  } catch (error) {
-    console.warn(`[SPELLS] ${className} fetch failed:`, error.message);
-    return [];
+  // Subclass-granted spells are not necessarily on the base class list
+  // (e.g. Oath of Vengeance's Misty Step), so only credit the subclass
+  if (alwaysPrepared) {
+    for (const spell of enhanced) {
+      if (spell._subclasses.length > 0) {
+        spell._classes = [];
+      }
+    }
   }
+
+  return enhanced;
 }
 
 /**
@@ -222,25 +265,91 @@ function filterBySourceBooks(spells, sourceBookIds) {
  *
  * @param {string} cobaltCookie - User's D&D Beyond session cookie
  * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
- * @returns {Promise<Array>} - Array of all spell objects with enhanced data
+ * @param {object} options - Optional sharing options
+ * @param {number|null} options.campaignId - Campaign whose shared content should be included
+ * @param {number} options.sharingSetting - D&D Beyond sharingSetting (default: 2)
+ * @param {Function} options.onRecord - Optional callback for each spell once enhanced and filtered (NDJSON streaming); awaited
+ * @param {Function} options.onProgress - Optional callback for structured progress events
+ * @returns {Promise<object>} - {spells, sourceStats, ownershipBySourceId, allSources, failures};
+ *   failures lists the class spell lists (and subclass lookups) that could not be fetched
+ * @throws {Error} - If every class spell list failed
  */
-export async function fetchAllSpells(cobaltCookie, sourceBookIds = null) {
+export async function fetchAllSpells(cobaltCookie, sourceBookIds = null, options = {}) {
+  const {
+    campaignId = null,
+    sharingSetting = CONSTANTS.DEFAULT_SHARING_SETTING,
+    onRecord = null,
+    onProgress = () => {}
+  } = options;
   const filterMsg = sourceBookIds && sourceBookIds.length > 0
     ? ` (filtering by source IDs: ${sourceBookIds.join(', ')})`
     : '';
-  console.log(`[SPELLS] Fetching spells for ${CONSTANTS.SPELLCASTING_CLASSES.length} classes${filterMsg}...`);
+  const campaignMsg = campaignId ? ` (campaign ${campaignId})` : '';
+  console.log(`[SPELLS] Fetching spells for ${CONSTANTS.SPELLCASTING_CLASSES.length} classes${filterMsg}${campaignMsg}...`);
 
   // Build source map from D&D Beyond config (cached)
   console.log('[SPELLS] Building source map from D&D Beyond config...');
   const sourceMap = await buildSourceMap();
   console.log(`[SPELLS] Source map built with ${sourceMap.size} sources`);
+  onProgress({ stage: 'sources', message: `Source map built with ${sourceMap.size} sources`, sources: sourceMap.size });
+
+  // Map subclass spell lists so subclass-granted spells can be attributed
+  const { spellLists: subclassSpellLists, failures } = await fetchSubclassSpellLists(cobaltCookie, campaignId, sharingSetting);
+  console.log(`[SPELLS] Subclass spell lists mapped: ${subclassSpellLists.size}`);
+
+  const context = { sourceMap, subclassSpellLists, campaignId, sharingSetting };
+
+  // Fetch all classes in parallel (class lists plus always-prepared subclass lists)
+  const classTotal = CONSTANTS.SPELLCASTING_CLASSES.length;
+  let classesDone = 0;
+  let spellsFetched = 0;
+
+  // A failed list must not silently drop a class's spells: record it and carry on
+  let lastError = null;
+  const fetchList = async (id, name, listContext) => {
+    try {
+      return await fetchSpellsByClass(id, name, cobaltCookie, listContext);
+    } catch (error) {
+      console.warn(`[SPELLS] ${name}${listContext.alwaysPrepared ? ' always-prepared' : ''} list failed:`, error.message);
+      lastError = error;
+      failures.push({
+        source: listContext.alwaysPrepared ? `${name} always-prepared spells` : `${name} spells`,
+        status: error.status || null,
+        message: error.message
+      });
+      return [];
+    }
+  };
 
-  // Fetch all classes in parallel
-  const classPromises = CONSTANTS.SPELLCASTING_CLASSES.map(({ id, name }) =>
-    fetchSpellsByClass(id, name, cobaltCookie, sourceMap)
-  );
+  const classPromises = CONSTANTS.SPELLCASTING_CLASSES.map(async ({ id, name }) => {
+    const lists = await Promise.all([
+      fetchList(id, name, context),
+      fetchList(id, name, { ...context, alwaysPrepared: true })
+    ]);
+
+    classesDone++;
+    spellsFetched += lists[0].length + lists[1].length;
+    onProgress({
+      stage: 'classes',
+      message: `Fetched spells for ${name} (class ${classesDone} of ${classTotal})`,
+      className: name,
+      current: classesDone,
+      total: classTotal,
+      count: spellsFetched
+    });
 
-  const classResults = await Promise.all(classPromises);
+    return lists;
+  });
+
+  const classResults = (await Promise.all(classPromises)).flat();
+
+  if (classResults.every(spells => spells.length === 0) && lastError) {
+    // Nothing came back at all - that's an outage, not a partial result
+    throw lastError;
+  }
+  if (failures.length > 0) {
+    console.warn(`[SPELLS] Partial result: ${failures.length} lists failed (${failures.map(f => f.source).join(', ')})`);
+  }
 
   // Flatten results and merge spells by NAME (not ID - D&D Beyond uses different IDs per class!)
   const spellsMap = new Map();
@@ -263,6 +372,7 @@ export async function fetchAllSpells(cobaltCookie, sourceBookIds = null) {
         const existing = spellsMap.get(spellName);
         const beforeClasses = [...existing._classes];
         existing._classes = [...new Set([...existing._classes, ...spell._classes])];
+        existing._subclasses = [...new Set([...existing._subclasses, ...spell._subclasses])];
         mergeCount++;
         console.log(`[SPELLS] Merged "${spellName}": ${beforeClasses.join(',')} + ${spell._classes.join(',')} = ${existing._classes.join(',')}`);
       } else {
@@ -276,11 +386,11 @@ export async function fetchAllSpells(cobaltCookie, sourceBookIds = null) {
 
   // Convert Map to array and finalize class availability
   const allSpells = Array.from(spellsMap.values()).map(spell => {
-    const { _classes, ...rest } = spell;
+    const { _classes, _subclasses, ...rest } = spell;
     return {
       ...rest,
       availableToClasses: _classes.sort(), // Replace temporary _classes with final availableToClasses
-      availableToSubclasses: [] // TODO: Extract subclass availability if needed
+      availableToSubclasses: _subclasses.sort() // Subclasses whose expanded/always-prepared lists grant this spell
     };
   });
 
@@ -309,6 +419,14 @@ export async function fetchAllSpells(cobaltCookie, sourceBookIds = null) {
     console.log(`[SPELLS] After source filter: ${filteredSpells.length} spells (${beforeSourceFilter - filteredSpells.length} filtered)`);
   }
 
+  // Class availability is only final once every class list has been merged,
+  // so this is the earliest point spells can be handed on
+  if (onRecord) {
+    for (const spell of filteredSpells) {
+      await onRecord(spell);
+    }
+  }
+
   // Log class availability stats
   const classStats = {};
   for (const spell of filteredSpells) {
@@ -339,7 +457,8 @@ export async function fetchAllSpells(cobaltCookie, sourceBookIds = null) {
     spells: filteredSpells,
     sourceStats,
     ownershipBySourceId,
-    allSources
+    allSources,
+    failures
   };
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Server-Sent Events Streams
+ *
+ * Writes `text/event-stream` responses for live progress. Each event is
+ * flushed through the compression middleware straight away, and a comment
+ * line is sent periodically so proxies and load balancers don't close an
+ * idle connection.
+ */
+
+// Keep-alive comment interval (15 seconds)
+const HEARTBEAT_INTERVAL = 15000;
+
+export class EventStream {
+  /**
+   * Open an event stream on a response
+   * @param {object} res - Express response
+   */
+  constructor(res) {
+    this.res = res;
+    this.closed = false;
+    this.nextId = 1;
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    this.heartbeat = setInterval(() => this.comment('keep-alive'), HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+
+    res.on('close', () => this.close());
+  }
+
+  /**
+   * Write raw text and flush it to the client
+   * @param {string} text - Text to write
+   */
+  write(text) {
+    if (this.closed) return;
+
+    this.res.write(text);
+    if (typeof this.res.flush === 'function') {
+      this.res.flush();
+    }
+  }
+
+  /**
+   * Send a named event with a JSON payload
+   * @param {string} event - Event name
+   * @param {object} data - Payload
+   */
+  send(event, data) {
+    this.write(`id: ${this.nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send a comment line (ignored by clients)
+   * @param {string} text - Comment text
+   */
+  comment(text) {
+    this.write(`: ${text}\n\n`);
+  }
+
+  /**
+   * End the stream
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    clearInterval(this.heartbeat);
+    if (!this.res.writableEnded) {
+      this.res.end();
+    }
+  }
+}
+
+export default EventStream;
@@ -0,0 +1,87 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RedisStorage } from '../cache-storage.js';
+import { FakeRedisServer } from './fake-redis-server.js';
+
+const ACCOUNT = 'a'.repeat(64);
+
+describe('RedisStorage', () => {
+  let server;
+  let url;
+  let storage;
+
+  before(async () => {
+    server = new FakeRedisServer();
+    url = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.data.clear();
+    server.commands = [];
+    storage = new RedisStorage(url, { prefix: 'test:', secret: 'test-secret' });
+  });
+
+  it('round-trips shared entries with an expiry', async () => {
+    await storage.save('SOURCES', 'all', { data: [{ id: 1 }], timestamp: 123, accountId: null, expiresInMs: 60000 });
+
+    const set = server.commands.find(args => args[0] === 'SET');
+    assert.match(set[1], /^test:SOURCES:[0-9a-f]{64}$/);
+    assert.deepEqual(set.slice(3), ['PX', '60000']);
+
+    assert.deepEqual(await storage.get('SOURCES', 'all'), { data: [{ id: 1 }], timestamp: 123 });
+    assert.equal(await storage.get('SOURCES', 'missing'), null);
+    await storage.flush();
+  });
+
+  it('encrypts per-account entries and reads them back', async () => {
+    const id = `${ACCOUNT}_sources_1`;
+    await storage.save('ITEMS', id, { data: [{ name: 'Secret Sword' }], timestamp: 5, accountId: ACCOUNT, expiresInMs: 1000 });
+
+    const stored = [...server.data.values()][0].value;
+    assert.ok(!stored.includes('Secret Sword'));
+
+    assert.deepEqual(await storage.get('ITEMS', id), { data: [{ name: 'Secret Sword' }], timestamp: 5 });
+
+    // Another instance with a different secret can't read it
+    const other = new RedisStorage(url, { prefix: 'test:', secret: 'other-secret' });
+    await assert.rejects(other.get('ITEMS', id));
+    await other.flush();
+    await storage.flush();
+  });
+
+  it('does not share per-account entries without a secret', async () => {
+    const plain = new RedisStorage(url, { prefix: 'test:' });
+    await plain.save('ITEMS', `${ACCOUNT}_x`, { data: [1], timestamp: 1, accountId: ACCOUNT, expiresInMs: 1000 });
+
+    assert.equal(server.data.size, 0);
+    await plain.flush();
+  });
+
+  it('deletes single entries and clears only its own cache', async () => {
+    await storage.save('ITEMS', 'one', { data: [1], timestamp: 1, expiresInMs: 1000 });
+    await storage.save('ITEMS', 'two', { data: [2], timestamp: 1, expiresInMs: 1000 });
+    await storage.save('SPELLS', 'one', { data: [3], timestamp: 1, expiresInMs: 1000 });
+
+    await storage.delete('ITEMS', 'one');
+    assert.equal(await storage.get('ITEMS', 'one'), null);
+    assert.deepEqual((await storage.get('ITEMS', 'two')).data, [2]);
+
+    await storage.clear('ITEMS');
+    assert.equal(await storage.get('ITEMS', 'two'), null);
+    assert.deepEqual((await storage.get('SPELLS', 'one')).data, [3]);
+    await storage.flush();
+  });
+
+  it('ignores an entry stored under a colliding key for a different id', async () => {
+    await storage.save('ITEMS', 'real', { data: [1], timestamp: 1, expiresInMs: 1000 });
+    const key = storage.entryKey('ITEMS', 'real');
+    server.data.set(storage.entryKey('ITEMS', 'fake'), server.data.get(key));
+
+    assert.equal(await storage.get('ITEMS', 'fake'), null);
+    await storage.flush();
+  });
+});
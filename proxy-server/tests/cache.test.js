@@ -0,0 +1,203 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cache } from '../cache.js';
+
+/**
+ * Storage backend that records every call
+ */
+class RecordingStorage {
+  constructor({ shared = false, entries = [] } = {}) {
+    this.type = 'recording';
+    this.shared = shared;
+    this.entries = new Map(entries);
+    this.calls = [];
+  }
+
+  async load() {
+    return [...this.entries];
+  }
+
+  async get(cacheName, id) {
+    this.calls.push(['get', id]);
+    return this.entries.get(id) || null;
+  }
+
+  async save(cacheName, id, entry) {
+    this.calls.push(['save', id]);
+    this.entries.set(id, { data: entry.data, timestamp: entry.timestamp });
+  }
+
+  async delete(cacheName, id) {
+    this.calls.push(['delete', id]);
+    this.entries.delete(id);
+  }
+
+  async clear() {
+    this.calls.push(['clear']);
+    this.entries.clear();
+  }
+
+  async flush() {}
+}
+
+const createCache = (options = {}) => new Cache('TEST', 1000, {
+  storage: new RecordingStorage(),
+  shared: true,
+  cleanupIntervalMs: 0,
+  ...options
+});
+
+describe('Cache LRU eviction', () => {
+  it('evicts the least recently used entry past maxEntries', () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.add('a', [1]);
+    cache.add('b', [2]);
+
+    // Reading a makes b the least recently used
+    cache.exists('a');
+    cache.add('c', [3]);
+
+    assert.equal(cache.exists('b').exists, false);
+    assert.equal(cache.exists('a').exists, true);
+    assert.equal(cache.exists('c').exists, true);
+    assert.equal(cache.getStats().evictions, 1);
+  });
+
+  it('evicts past the byte budget but always keeps the newest entry', () => {
+    const cache = createCache({ maxBytes: 100 });
+    cache.add('small', ['x'.repeat(40)]);
+    cache.add('large', ['x'.repeat(200)]);
+
+    assert.equal(cache.size, 1);
+    assert.equal(cache.exists('large').exists, true);
+    assert.ok(cache.getStats().estimatedBytes > 100);
+  });
+
+  it('tracks the estimated size as entries are replaced and removed', () => {
+    const cache = createCache();
+    cache.add('a', ['x'.repeat(100)]);
+    cache.add('a', ['x'.repeat(10)]);
+
+    assert.equal(cache.getStats().estimatedBytes, Buffer.byteLength(JSON.stringify(['x'.repeat(10)])));
+
+    cache.remove('a');
+    assert.equal(cache.getStats().estimatedBytes, 0);
+  });
+
+  it('drops evicted entries from memory only, leaving the stored copy', async () => {
+    const storage = new RecordingStorage({ shared: true });
+    const cache = createCache({ storage, maxEntries: 1 });
+    cache.add('a', [1]);
+    cache.add('b', [2]);
+
+    assert.equal(cache.exists('a').exists, false);
+    assert.ok(!storage.calls.some(([operation]) => operation === 'delete'));
+
+    // Still readable through shared storage
+    assert.deepEqual((await cache.lookup('a')).data, [1]);
+  });
+
+  it('deletes the stored copy on remove()', () => {
+    const storage = new RecordingStorage();
+    const cache = createCache({ storage });
+    cache.add('a', [1]);
+    cache.remove('a');
+
+    assert.deepEqual(storage.calls.at(-1), ['delete', 'a']);
+  });
+
+  it('evicts down to the limits when hydrating from storage', async () => {
+    const storage = new RecordingStorage({
+      entries: ['a', 'b', 'c'].map(id => [id, { data: [id], timestamp: Date.now() }])
+    });
+    const cache = createCache({ storage, maxEntries: 2 });
+    await cache.ready;
+
+    assert.equal(cache.size, 2);
+    assert.equal(storage.calls.filter(([operation]) => operation === 'delete').length, 0);
+  });
+});
+
+describe('Cache stale-while-revalidate', () => {
+  let now;
+
+  // Control the clock the cache sees
+  const useClock = () => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves entries past their TTL as stale until the stale window ends', () => {
+    useClock();
+    const storage = new RecordingStorage();
+    const cache = createCache({ storage, maxStaleMs: 5000 });
+    cache.add('a', [1]);
+
+    assert.deepEqual(cache.exists('a'), { exists: true, data: [1], stale: false });
+
+    now += 1500;
+    assert.deepEqual(cache.exists('a'), { exists: true, data: [1], stale: true });
+
+    now += 5000;
+    assert.deepEqual(cache.exists('a'), { exists: false, data: null, stale: false });
+    assert.deepEqual(storage.calls.at(-1), ['delete', 'a']);
+  });
+
+  it('treats entries as expired right after the TTL without a stale window', () => {
+    useClock();
+    const cache = createCache();
+    cache.add('a', [1]);
+
+    now += 1001;
+    assert.equal(cache.exists('a').exists, false);
+  });
+
+  it('a refresh replaces a stale entry with a fresh one', () => {
+    useClock();
+    const cache = createCache({ maxStaleMs: 5000 });
+    cache.add('a', [1]);
+
+    now += 1500;
+    assert.equal(cache.exists('a').stale, true);
+
+    cache.add('a', [2]);
+    assert.deepEqual(cache.exists('a'), { exists: true, data: [2], stale: false });
+  });
+
+  it('reads stale entries through shared storage, and ignores ones past the window', async () => {
+    useClock();
+    const storage = new RecordingStorage({
+      shared: true,
+      entries: [
+        ['stale', { data: [1], timestamp: now - 2000 }],
+        ['gone', { data: [2], timestamp: now - 10000 }]
+      ]
+    });
+    const cache = createCache({ storage, maxStaleMs: 5000 });
+
+    assert.deepEqual(await cache.lookup('stale'), { exists: true, data: [1], stale: true });
+    assert.deepEqual(await cache.lookup('gone'), { exists: false, data: null, stale: false });
+  });
+
+  it('counts stale entries in stats and only cleans up those past the window', () => {
+    useClock();
+    const cache = createCache({ maxStaleMs: 5000 });
+    cache.add('old', [1]);
+    now += 3000;
+    cache.add('new', [2]);
+
+    let stats = cache.getStats();
+    assert.equal(stats.staleEntries, 1);
+    assert.equal(stats.validEntries, 1);
+
+    now += 3001;
+    cache.cleanup();
+    stats = cache.getStats();
+    assert.equal(stats.totalEntries, 1);
+    assert.equal(stats.staleEntries, 1);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCharacter } from '../characters.js';
+
+// Base scores: STR 10, DEX 12, CON 14, INT 8, WIS 13, CHA 15
+const stats = (values = [10, 12, 14, 8, 13, 15]) => values.map((value, index) => ({ id: index + 1, value }));
+
+const character = (overrides = {}) => ({
+  id: 1,
+  name: 'Test',
+  stats: stats(),
+  bonusStats: [],
+  overrideStats: [],
+  classes: [{ id: 10, level: 5, definition: { id: 1, name: 'Fighter', hitDice: 10 } }],
+  baseHitPoints: 44,
+  modifiers: {},
+  inventory: [],
+  ...overrides
+});
+
+const modifier = (type, subType, value, componentId = null) => ({ type, subType, value, componentId });
+
+describe('normalizeCharacter abilities', () => {
+  it('adds bonus stats and every "bonus" modifier to the base score', () => {
+    const normalized = normalizeCharacter(character({
+      bonusStats: [{ id: 1, value: 1 }],
+      modifiers: {
+        race: [modifier('bonus', 'strength-score', 2)],
+        feat: [modifier('bonus', 'strength-score', 1), modifier('bonus', 'dexterity-score', 1)]
+      }
+    }));
+
+    assert.deepEqual(normalized.abilities.str, { score: 14, modifier: 2, base: 10 });
+    assert.deepEqual(normalized.abilities.dex, { score: 13, modifier: 1, base: 12 });
+    assert.equal(normalized.abilities.int.modifier, -1);
+  });
+
+  it('applies "set" modifiers after bonuses and only when they raise the score', () => {
+    const normalized = normalizeCharacter(character({
+      modifiers: {
+        race: [modifier('bonus', 'strength-score', 2), modifier('bonus', 'charisma-score', 2)],
+        item: [modifier('set', 'strength-score', 19, 100), modifier('set', 'charisma-score', 15, 100)]
+      },
+      inventory: [{ equipped: true, definition: { id: 100, canAttune: false } }]
+    }));
+
+    assert.equal(normalized.abilities.str.score, 19);
+    assert.equal(normalized.abilities.str.modifier, 4);
+    assert.equal(normalized.abilities.cha.score, 17);
+  });
+
+  it('uses an override score as-is', () => {
+    const normalized = normalizeCharacter(character({
+      overrideStats: [{ id: 5, value: 20 }],
+      modifiers: { race: [modifier('bonus', 'wisdom-score', 2), modifier('set', 'wisdom-score', 21)] }
+    }));
+
+    assert.deepEqual(normalized.abilities.wis, { score: 20, modifier: 5, base: 13 });
+  });
+
+  it('counts item modifiers only for equipped items that are attuned when they need to be', () => {
+    const belt = (componentId) => modifier('set', 'strength-score', 21, componentId);
+    const normalized = (inventory) => normalizeCharacter(character({
+      modifiers: { item: [belt(200)] },
+      inventory
+    })).abilities.str.score;
+
+    assert.equal(normalized([]), 10);
+    assert.equal(normalized([{ equipped: false, isAttuned: true, definition: { id: 200, canAttune: true } }]), 10);
+    assert.equal(normalized([{ equipped: true, isAttuned: false, definition: { id: 200, canAttune: true } }]), 10);
+    assert.equal(normalized([{ equipped: true, isAttuned: true, definition: { id: 200, canAttune: true } }]), 21);
+    assert.equal(normalized([{ equipped: true, definition: { id: 200, canAttune: false } }]), 21);
+    // Another equipped item doesn't activate it
+    assert.equal(normalized([{ equipped: true, definition: { id: 201, canAttune: false } }]), 10);
+  });
+});
+
+describe('normalizeCharacter hit points', () => {
+  it('adds the Constitution modifier per level across all classes', () => {
+    const normalized = normalizeCharacter(character({
+      classes: [
+        { id: 10, level: 5, definition: { id: 1, name: 'Fighter' } },
+        { id: 11, level: 2, definition: { id: 2, name: 'Rogue' } }
+      ],
+      baseHitPoints: 56,
+      bonusHitPoints: 3,
+      removedHitPoints: 10,
+      temporaryHitPoints: 4
+    }));
+
+    assert.equal(normalized.totalLevel, 7);
+    // 56 + 3 + CON +2 x 7 levels
+    assert.deepEqual(normalized.hitPoints, { max: 73, current: 63, temp: 4, removed: 10 });
+  });
+
+  it('adds per-level bonuses and uses the final Constitution score', () => {
+    const normalized = normalizeCharacter(character({
+      modifiers: {
+        race: [modifier('bonus', 'constitution-score', 2)],
+        feat: [modifier('bonus', 'hit-points-per-level', 2)]
+      }
+    }));
+
+    // 44 + (CON 16 -> +3, plus 2) x 5 levels
+    assert.equal(normalized.hitPoints.max, 69);
+  });
+
+  it('uses an override and never reports negative current hit points', () => {
+    const normalized = normalizeCharacter(character({ overrideHitPoints: 30, removedHitPoints: 45 }));
+
+    assert.equal(normalized.hitPoints.max, 30);
+    assert.equal(normalized.hitPoints.current, 0);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeETag, matchesETag } from '../etag.js';
+
+describe('computeETag', () => {
+  it('is a quoted strong tag that changes with the body', () => {
+    const etag = computeETag('[1,2,3]');
+
+    assert.match(etag, /^"[A-Za-z0-9_-]{32}"$/);
+    assert.equal(computeETag('[1,2,3]'), etag);
+    assert.notEqual(computeETag('[1,2,4]'), etag);
+  });
+});
+
+describe('matchesETag', () => {
+  const etag = computeETag('body');
+
+  it('matches an exact tag', () => {
+    assert.equal(matchesETag(etag, etag), true);
+    assert.equal(matchesETag(computeETag('other'), etag), false);
+  });
+
+  it('matches weak tags against the strong tag (weak comparison)', () => {
+    assert.equal(matchesETag(`W/${etag}`, etag), true);
+  });
+
+  it('matches any tag in a list', () => {
+    assert.equal(matchesETag(`"abc", W/"def",${etag}`, etag), true);
+    assert.equal(matchesETag(`"abc" , W/${etag}`, etag), true);
+    assert.equal(matchesETag('"abc", "def"', etag), false);
+  });
+
+  it('treats * as matching and a missing header as not matching', () => {
+    assert.equal(matchesETag('*', etag), true);
+    assert.equal(matchesETag(' * ', etag), true);
+    assert.equal(matchesETag(undefined, etag), false);
+    assert.equal(matchesETag('', etag), false);
+  });
+
+  it('does not match an unquoted tag', () => {
+    assert.equal(matchesETag(etag.slice(1, -1), etag), false);
+  });
+});
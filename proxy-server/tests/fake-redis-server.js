@@ -0,0 +1,181 @@
+/**
+ * In-process Redis stand-in for tests
+ *
+ * Speaks enough RESP2 for RedisClient and RedisStorage: PING, AUTH, SELECT,
+ * GET, SET (with PX), DEL, SCAN (MATCH/COUNT, paged) and QUIT. Keys live in a
+ * Map; every command received is recorded in `commands`.
+ */
+
+import net from 'net';
+
+/**
+ * Encode a reply value as RESP
+ * @param {any} value - null, number, string, Error, {simple: string}, {raw: string} (sent as-is) or array
+ * @returns {string}
+ */
+export function encodeReply(value) {
+  if (value === null) return '$-1\r\n';
+  if (value?.raw !== undefined) return value.raw;
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  if (typeof value === 'object') return `+${value.simple}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Parse complete commands (arrays of bulk strings) from a buffer
+ * @param {Buffer} buffer - Received data
+ * @returns {{commands: Array<Array<string>>, rest: Buffer}}
+ */
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  for (;;) {
+    const headerEnd = buffer.indexOf('\r\n', offset);
+    if (headerEnd === -1) break;
+
+    const count = Number(buffer.toString('utf8', offset + 1, headerEnd));
+    const args = [];
+    let position = headerEnd + 2;
+
+    for (let i = 0; i < count; i++) {
+      const lineEnd = buffer.indexOf('\r\n', position);
+      if (lineEnd === -1) break;
+      const length = Number(buffer.toString('utf8', position + 1, lineEnd));
+      if (buffer.length < lineEnd + 2 + length + 2) break;
+      args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+      position = lineEnd + 2 + length + 2;
+    }
+
+    if (args.length < count) break;
+    commands.push(args);
+    offset = position;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Glob match for SCAN MATCH patterns (only * is needed)
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+export class FakeRedisServer {
+  /**
+   * @param {object} options - Options
+   * @param {number} options.chunkSize - Write replies in chunks of this many bytes (0: whole replies)
+   * @param {Function} options.override - (args) => reply, or undefined to use the default handling
+   */
+  constructor({ chunkSize = 0, override = null } = {}) {
+    this.chunkSize = chunkSize;
+    this.override = override;
+    this.data = new Map(); // key -> {value, expiresAt}
+    this.commands = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.onConnection(socket));
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<string>} - Connection URL
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return `redis://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Close all connections and stop listening
+   */
+  async stop() {
+    for (const socket of this.sockets) socket.destroy();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  onConnection(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const parsed = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = parsed.rest;
+
+      // All replies for one chunk go out together, as pipelined replies do
+      const replies = parsed.commands.map(args => {
+        this.commands.push(args);
+        const custom = this.override ? this.override(args) : undefined;
+        return encodeReply(custom !== undefined ? custom : this.execute(args));
+      }).join('');
+
+      this.write(socket, Buffer.from(replies));
+    });
+  }
+
+  write(socket, data) {
+    if (!this.chunkSize) {
+      socket.write(data);
+      return;
+    }
+    for (let i = 0; i < data.length; i += this.chunkSize) {
+      socket.write(data.subarray(i, i + this.chunkSize));
+    }
+  }
+
+  /**
+   * Get a live key's value
+   * @param {string} key - Key
+   * @returns {string|null}
+   */
+  get(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  execute([name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return { simple: 'PONG' };
+      case 'AUTH':
+      case 'SELECT':
+      case 'QUIT':
+        return { simple: 'OK' };
+      case 'GET':
+        return this.get(args[0]);
+      case 'SET': {
+        const pxIndex = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        const expiresAt = pxIndex === -1 ? null : Date.now() + Number(args[pxIndex + 1]);
+        this.data.set(args[0], { value: args[1], expiresAt });
+        return { simple: 'OK' };
+      }
+      case 'DEL':
+        return args.filter(key => this.data.delete(key)).length;
+      case 'SCAN': {
+        const cursor = Number(args[0]);
+        const matchIndex = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const countIndex = args.findIndex(arg => arg.toUpperCase() === 'COUNT');
+        const pattern = globToRegExp(matchIndex === -1 ? '*' : args[matchIndex + 1]);
+        const count = countIndex === -1 ? 10 : Number(args[countIndex + 1]);
+
+        const keys = [...this.data.keys()].sort();
+        const batch = keys.slice(cursor, cursor + count).filter(key => pattern.test(key));
+        const next = cursor + count >= keys.length ? 0 : cursor + count;
+        return [String(next), batch];
+      }
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+}
+
+export default FakeRedisServer;
@@ -0,0 +1,56 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStorage } from '../cache-storage.js';
+
+describe('FileStorage', () => {
+  let dir;
+  let storage;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ddb-proxy-cache-'));
+    storage = new FileStorage(dir, { secret: 'test-secret' });
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps overlapping saves of one entry whole, leaving no temp files', async () => {
+    const saves = [];
+    for (let i = 0; i < 20; i++) {
+      saves.push(storage.save('ITEMS', 'entry', { data: Array(2000).fill(i), timestamp: i }));
+    }
+    await Promise.all(saves);
+
+    const entry = await storage.get('ITEMS', 'entry');
+    assert.equal(entry.data.length, 2000);
+    assert.ok(entry.data.every(value => value === entry.timestamp));
+
+    const files = await fs.readdir(storage.cacheDir('ITEMS'));
+    assert.deepEqual(files.filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('loads saved entries back', async () => {
+    await storage.save('SOURCES', 'all', { data: [{ id: 1 }], timestamp: 42 });
+
+    assert.deepEqual(await storage.load('SOURCES'), [['all', { data: [{ id: 1 }], timestamp: 42 }]]);
+  });
+
+  it('loads only the newest entries that fit the limits, oldest first', async () => {
+    for (const [index, id] of ['old', 'middle', 'new'].entries()) {
+      await storage.save('SPELLS', id, { data: ['x'.repeat(100)], timestamp: index });
+      // Spread the write times so the order doesn't depend on timer resolution
+      const time = new Date(Date.now() - (3 - index) * 60000);
+      await fs.utimes(storage.entryPath('SPELLS', id), time, time);
+    }
+    const { size } = await fs.stat(storage.entryPath('SPELLS', 'new'));
+
+    const ids = (entries) => entries.map(([id]) => id);
+    assert.deepEqual(ids(await storage.load('SPELLS')), ['old', 'middle', 'new']);
+    assert.deepEqual(ids(await storage.load('SPELLS', { maxEntries: 2 })), ['middle', 'new']);
+    assert.deepEqual(ids(await storage.load('SPELLS', { maxBytes: size * 2 - 1 })), ['new']);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobManager, JOB_STATUS } from '../jobs.js';
+
+const OWNER = 'account-a';
+const OTHER_OWNER = 'account-b';
+
+describe('JobManager', () => {
+  let jobs;
+  let now;
+
+  // Run a job to completion, one clock tick after the previous one
+  const finish = async (ownerId, result = []) => {
+    const job = jobs.create(ownerId, 'spells', {}, async () => result);
+    await new Promise(resolve => {
+      jobs.subscribe(job, event => {
+        if (event === 'done') resolve();
+      });
+    });
+    now += 1000;
+    return job;
+  };
+
+  beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+    jobs = new JobManager({ ttlMs: 60000, maxActivePerAccount: 3, maxFinishedPerAccount: 2, cleanupIntervalMs: 0 });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps a finished job and its result for its owner only', async () => {
+    const job = await finish(OWNER, [1, 2, 3]);
+
+    assert.equal(jobs.get(job.id, OWNER).status, JOB_STATUS.COMPLETED);
+    assert.deepEqual(jobs.get(job.id, OWNER).result, [1, 2, 3]);
+    assert.equal(jobs.get(job.id, OTHER_OWNER), null);
+  });
+
+  it('drops the oldest finished jobs once an account is over the limit', async () => {
+    const first = await finish(OWNER);
+    const second = await finish(OWNER);
+    const third = await finish(OWNER);
+
+    assert.equal(jobs.get(first.id, OWNER), null);
+    assert.ok(jobs.get(second.id, OWNER));
+    assert.ok(jobs.get(third.id, OWNER));
+    assert.equal(jobs.getStats().evicted, 1);
+  });
+
+  it('does not drop other accounts\' jobs or jobs that are still running', async () => {
+    const other = await finish(OTHER_OWNER);
+    let release;
+    const running = jobs.create(OWNER, 'items', {}, () => new Promise(resolve => { release = resolve; }));
+
+    await finish(OWNER);
+    await finish(OWNER);
+    await finish(OWNER);
+
+    assert.ok(jobs.get(other.id, OTHER_OWNER));
+    assert.equal(jobs.get(running.id, OWNER).status, JOB_STATUS.RUNNING);
+    release([]);
+  });
+
+  it('forgets finished jobs once their TTL has passed', async () => {
+    const job = await finish(OWNER);
+
+    now += 60001;
+    assert.equal(jobs.get(job.id, OWNER), null);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterMonsters } from '../monsters.js';
+
+const monster = (name, challengeRating, typeName, sizeName) => ({ name, challengeRating, typeName, sizeName });
+
+const MONSTERS = [
+  monster('Goblin', 0.25, 'Humanoid', 'Small'),
+  monster('Owlbear', 3, 'Monstrosity', 'Large'),
+  monster('Adult Red Dragon', 17, 'Dragon', 'Huge'),
+  monster('Mystery', null, 'Unknown', 'Unknown')
+];
+
+const names = (monsters) => monsters.map(entry => entry.name);
+
+describe('filterMonsters', () => {
+  it('returns every monster without filters', () => {
+    assert.deepEqual(filterMonsters(MONSTERS), MONSTERS);
+    assert.deepEqual(filterMonsters(MONSTERS, { creatureTypes: [], sizes: [] }), MONSTERS);
+  });
+
+  it('filters by an inclusive challenge rating range, excluding monsters without one', () => {
+    assert.deepEqual(names(filterMonsters(MONSTERS, { minChallengeRating: 0.25, maxChallengeRating: 3 })), ['Goblin', 'Owlbear']);
+    assert.deepEqual(names(filterMonsters(MONSTERS, { minChallengeRating: 10 })), ['Adult Red Dragon']);
+    assert.deepEqual(names(filterMonsters(MONSTERS, { maxChallengeRating: 0 })), []);
+  });
+
+  it('ignores challenge ratings that are not numbers', () => {
+    assert.equal(filterMonsters(MONSTERS, { minChallengeRating: '5' }).length, MONSTERS.length);
+  });
+
+  it('matches creature types and sizes by D&D Beyond ID or by name, case-insensitively', () => {
+    assert.deepEqual(names(filterMonsters(MONSTERS, { creatureTypes: [6, 'humanoid'] })), ['Goblin', 'Adult Red Dragon']);
+    assert.deepEqual(names(filterMonsters(MONSTERS, { sizes: [5] })), ['Owlbear']);
+    assert.deepEqual(names(filterMonsters(MONSTERS, { sizes: ['SMALL', 'Huge'], creatureTypes: ['Dragon'] })), ['Adult Red Dragon']);
+  });
+
+  it('matches nothing for unknown IDs', () => {
+    assert.deepEqual(filterMonsters(MONSTERS, { creatureTypes: [99] }), []);
+  });
+});
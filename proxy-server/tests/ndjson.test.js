@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { NdjsonWriter, NDJSON_TYPE } from '../ndjson.js';
+
+/**
+ * Minimal Express-like response that records what was written
+ */
+class FakeResponse extends EventEmitter {
+  constructor({ highWaterMark = Infinity } = {}) {
+    super();
+    this.statusCode = null;
+    this.headers = {};
+    this.chunks = [];
+    this.ended = false;
+    this.destroyed = false;
+    this.highWaterMark = highWaterMark;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  type(value) {
+    this.headers['content-type'] = value;
+    return this;
+  }
+
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    return this.chunks.length < this.highWaterMark;
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  lines() {
+    return this.chunks.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+describe('NdjsonWriter', () => {
+  it('writes one JSON record per line with NDJSON headers', () => {
+    const res = new FakeResponse();
+    const writer = new NdjsonWriter(res);
+
+    writer.write({ id: 1 });
+    writer.write({ id: 2 });
+    writer.end();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], NDJSON_TYPE);
+    assert.deepEqual(res.lines(), [{ id: 1 }, { id: 2 }]);
+    assert.equal(res.ended, true);
+  });
+
+  it('reports a failure after records as a final error line and ends the stream', () => {
+    const res = new FakeResponse();
+    const writer = new NdjsonWriter(res);
+
+    writer.write({ id: 1 });
+    writer.fail(new Error('D&D Beyond API error: 502'));
+
+    assert.deepEqual(res.lines(), [
+      { id: 1 },
+      { error: 'Stream failed', message: 'D&D Beyond API error: 502' }
+    ]);
+    assert.equal(res.ended, true);
+  });
+
+  it('still sends headers when it fails before the first record', () => {
+    const res = new FakeResponse();
+    const writer = new NdjsonWriter(res);
+
+    writer.fail(new Error('boom'));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.lines(), [{ error: 'Stream failed', message: 'boom' }]);
+  });
+
+  it('writes nothing once the stream has ended or the client has gone', () => {
+    const ended = new FakeResponse();
+    const writer = new NdjsonWriter(ended);
+    writer.end();
+    writer.write({ id: 1 });
+    writer.fail(new Error('late'));
+    assert.deepEqual(ended.chunks, []);
+
+    const gone = new FakeResponse();
+    gone.destroyed = true;
+    const closed = new NdjsonWriter(gone);
+    closed.fail(new Error('nobody listening'));
+    assert.deepEqual(gone.chunks, []);
+    assert.equal(gone.ended, false);
+  });
+
+  it('waits for drain when the response buffer is full', async () => {
+    const res = new FakeResponse({ highWaterMark: 2 });
+    const writer = new NdjsonWriter(res);
+
+    const done = writer.writeAll([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(res.chunks.length, 2);
+
+    res.highWaterMark = Infinity;
+    res.emit('drain');
+    await done;
+    assert.deepEqual(res.lines(), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  });
+
+  it('stops writing when the client disconnects while waiting for drain', async () => {
+    const res = new FakeResponse({ highWaterMark: 1 });
+    const writer = new NdjsonWriter(res);
+
+    const done = writer.writeAll([{ id: 1 }, { id: 2 }]);
+    res.destroyed = true;
+    res.emit('close');
+    await done;
+
+    assert.equal(res.chunks.length, 1);
+  });
+});
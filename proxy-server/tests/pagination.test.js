@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePagination, paginate, listVersion } from '../pagination.js';
+
+const cursorFor = (offset) => Buffer.from(String(offset)).toString('base64url');
+
+describe('parsePagination', () => {
+  it('returns null options for unpaginated requests', () => {
+    assert.deepEqual(parsePagination({}), { options: null });
+  });
+
+  it('turns page and pageSize into an offset', () => {
+    assert.deepEqual(parsePagination({ page: 3, pageSize: 50 }), { options: { offset: 100, pageSize: 50 } });
+    assert.deepEqual(parsePagination({ pageSize: '10' }), { options: { offset: 0, pageSize: 10 } });
+  });
+
+  it('decodes cursors from a previous page', () => {
+    assert.deepEqual(parsePagination({ cursor: cursorFor(250) }), { options: { offset: 250, pageSize: 250 } });
+  });
+
+  it('rejects invalid cursors', () => {
+    for (const cursor of [
+      '',
+      'not-a-cursor',
+      cursorFor(-5),
+      cursorFor('12abc'),
+      cursorFor(1.5),
+      cursorFor('4.'),
+      cursorFor('4.abc.def'),
+      cursorFor('9'.repeat(400)),
+      null,
+      { offset: 10 },
+      ['MjUw']
+    ]) {
+      assert.deepEqual(parsePagination({ cursor }), { error: 'Invalid pagination cursor' }, JSON.stringify(cursor));
+    }
+  });
+
+  it('rejects mixed and out-of-range options', () => {
+    assert.match(parsePagination({ page: 1, cursor: cursorFor(0) }).error, /either page or cursor/);
+    assert.match(parsePagination({ pageSize: 0 }).error, /pageSize/);
+    assert.match(parsePagination({ pageSize: 100000 }).error, /pageSize/);
+    assert.match(parsePagination({ page: 0 }).error, /page must be/);
+    assert.match(parsePagination({ page: 'two' }).error, /page must be/);
+  });
+});
+
+describe('paginate', () => {
+  const entries = Array.from({ length: 5 }, (_, i) => ({ id: i }));
+
+  it('slices a page and links to the next one', () => {
+    const { data, pagination } = paginate(entries, { offset: 2, pageSize: 2 });
+
+    const version = listVersion(entries);
+    assert.deepEqual(data, [{ id: 2 }, { id: 3 }]);
+    assert.deepEqual(pagination, { total: 5, page: 2, pageSize: 2, totalPages: 3, version, nextCursor: cursorFor(`4.${version}`) });
+    assert.deepEqual(parsePagination({ cursor: pagination.nextCursor, pageSize: 2 }).options, { offset: 4, pageSize: 2, version });
+  });
+
+  it('versions lists by content', () => {
+    assert.equal(listVersion(entries), listVersion(entries.map(entry => ({ ...entry }))));
+    assert.notEqual(listVersion(entries), listVersion([...entries, { id: 5 }]));
+  });
+
+  it('rejects a cursor issued for a different version of the list', () => {
+    const { pagination } = paginate(entries, { offset: 0, pageSize: 2 });
+    const options = parsePagination({ cursor: pagination.nextCursor, pageSize: 2 }).options;
+
+    // A refresh replaced the list: an entry was added at the front
+    const refreshed = [{ id: 'new' }, ...entries];
+    assert.match(paginate(refreshed, options).error, /list changed/);
+    assert.deepEqual(paginate(entries, options).data, [{ id: 2 }, { id: 3 }]);
+  });
+
+  it('accepts cursors without a version', () => {
+    assert.deepEqual(paginate(entries, parsePagination({ cursor: cursorFor(4), pageSize: 2 }).options).data, [{ id: 4 }]);
+  });
+
+  it('has no next cursor on the last page', () => {
+    assert.equal(paginate(entries, { offset: 4, pageSize: 2 }).pagination.nextCursor, null);
+    assert.deepEqual(paginate(entries, { offset: 10, pageSize: 2 }).data, []);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHARACTER_OPERATIONS,
+  GAME_DATA_OPERATIONS,
+  matchOperation,
+  validateParams,
+  checkResponse,
+  describeOperations
+} from '../passthrough.js';
+
+const sharing = { campaignId: null, sharingSetting: 2 };
+
+describe('matchOperation', () => {
+  it('matches listed paths and captures path parameters', () => {
+    assert.equal(matchOperation(CHARACTER_OPERATIONS, '/user-entity').operation.path, '/user-entity');
+
+    const match = matchOperation(CHARACTER_OPERATIONS, '/character/123');
+    assert.equal(match.operation.path, '/character/:characterId');
+    assert.deepEqual(match.pathParams, { characterId: '123' });
+  });
+
+  it('rejects unlisted paths', () => {
+    for (const path of [
+      '/',
+      '',
+      '/character',
+      '/character/',
+      '/character/1/extra',
+      '/user-entity/',
+      '/USER-ENTITY',
+      '/../auth-service/v1/cobalt-token',
+      '/character/../user-entity',
+      '/game-data/items'
+    ]) {
+      assert.equal(matchOperation(CHARACTER_OPERATIONS, path), null, path);
+    }
+    assert.equal(matchOperation(GAME_DATA_OPERATIONS, '/rule-data'), null);
+  });
+});
+
+describe('validateParams', () => {
+  it('validates and converts path and body parameters', () => {
+    const { operation, pathParams } = matchOperation(GAME_DATA_OPERATIONS, '/always-prepared-spells');
+
+    assert.deepEqual(validateParams(operation, pathParams, { classId: '2', classLevel: 5 }), {
+      params: { classId: 2, classLevel: 5 }
+    });
+    assert.deepEqual(validateParams(operation, pathParams, { classId: 2 }), { params: { classId: 2 } });
+  });
+
+  it('reports missing and malformed parameters', () => {
+    const { operation, pathParams } = matchOperation(GAME_DATA_OPERATIONS, '/always-prepared-spells');
+
+    assert.match(validateParams(operation, pathParams, {}).error, /classId is required/);
+    assert.match(validateParams(operation, pathParams, { classId: '2; DROP' }).error, /classId must be/);
+    assert.match(validateParams(operation, pathParams, { classId: 2, classLevel: 21 }).error, /classLevel must be/);
+    assert.match(validateParams(operation, pathParams, { classId: 2, classLevel: 0 }).error, /classLevel must be/);
+  });
+
+  it('takes path parameters from the URL, not the body', () => {
+    const { operation, pathParams } = matchOperation(CHARACTER_OPERATIONS, '/character/abc');
+
+    assert.match(validateParams(operation, pathParams, { characterId: 5 }).error, /characterId must be/);
+  });
+
+  it('builds upstream URLs only from validated parameters', () => {
+    const { operation, pathParams } = matchOperation(GAME_DATA_OPERATIONS, '/subclass');
+    const { params } = validateParams(operation, pathParams, { baseClassId: '7', extra: '&x=1' });
+
+    assert.equal(
+      operation.url(params, sharing),
+      'https://character-service.dndbeyond.com/character/v5/game-data/subclass?baseClassId=7&sharingSetting=2'
+    );
+  });
+});
+
+describe('checkResponse', () => {
+  it('accepts the expected shape and rejects others', () => {
+    const character = matchOperation(CHARACTER_OPERATIONS, '/character/1').operation;
+
+    assert.doesNotThrow(() => checkResponse(character, { success: true, data: { id: 1 } }));
+    for (const json of [null, [], 'html', { success: false, data: {} }, { success: true, data: [] }]) {
+      assert.throws(() => checkResponse(character, json), error => error.code === 'UNEXPECTED_RESPONSE');
+    }
+  });
+});
+
+describe('describeOperations', () => {
+  it('lists every operation with its parameters', () => {
+    const described = describeOperations(GAME_DATA_OPERATIONS, '/api/content');
+
+    assert.equal(described.length, GAME_DATA_OPERATIONS.length);
+    assert.deepEqual(described[0], {
+      operation: 'POST /api/content/always-prepared-spells',
+      description: GAME_DATA_OPERATIONS[0].description,
+      parameters: ['classId: numeric D&D Beyond ID', 'classLevel (optional): level from 1 to 20']
+    });
+  });
+});
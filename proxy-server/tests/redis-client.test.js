@@ -0,0 +1,190 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RedisClient, parseReply, encodeCommand } from '../redis-client.js';
+import { FakeRedisServer, encodeReply } from './fake-redis-server.js';
+
+const reply = (text) => parseReply(Buffer.from(text));
+
+describe('parseReply', () => {
+  it('parses simple strings, integers and errors', () => {
+    assert.deepEqual(reply('+OK\r\n'), { value: 'OK', offset: 5 });
+    assert.deepEqual(reply(':42\r\n'), { value: 42, offset: 5 });
+
+    const error = reply('-ERR wrong type\r\n');
+    assert.ok(error.value instanceof Error);
+    assert.equal(error.value.message, 'ERR wrong type');
+  });
+
+  it('parses bulk strings by byte length, including CRLF and multibyte text', () => {
+    assert.deepEqual(reply('$6\r\na\r\nb\r\n\r\n'), { value: 'a\r\nb\r\n', offset: 12 });
+    assert.equal(reply(`$${Buffer.byteLength('é✓')}\r\né✓\r\n`).value, 'é✓');
+    assert.deepEqual(reply('$-1\r\n'), { value: null, offset: 5 });
+  });
+
+  it('returns null for incomplete replies', () => {
+    assert.equal(reply('+OK'), null);
+    assert.equal(reply('$5\r\nhel'), null);
+    assert.equal(reply('$5\r\nhello'), null);
+    assert.equal(reply('*2\r\n$1\r\na\r\n'), null);
+    assert.equal(reply('*2\r\n*1\r\n:1\r\n*1\r\n'), null);
+  });
+
+  it('parses nested arrays with mixed element types', () => {
+    const parsed = reply('*3\r\n$1\r\n0\r\n*2\r\n$3\r\nfoo\r\n$-1\r\n:7\r\n');
+    assert.deepEqual(parsed.value, ['0', ['foo', null], 7]);
+    assert.equal(parsed.offset, Buffer.byteLength('*3\r\n$1\r\n0\r\n*2\r\n$3\r\nfoo\r\n$-1\r\n:7\r\n'));
+    assert.deepEqual(reply('*-1\r\n').value, null);
+    assert.deepEqual(reply('*0\r\n').value, []);
+  });
+
+  it('parses from an offset so pipelined replies can be read one after another', () => {
+    const buffer = Buffer.from('+OK\r\n:1\r\n');
+    const first = parseReply(buffer);
+    assert.deepEqual(parseReply(buffer, first.offset), { value: 1, offset: buffer.length });
+  });
+
+  it('rejects unknown reply types', () => {
+    assert.throws(() => reply('!oops\r\n'), /Unexpected RESP reply type/);
+  });
+
+  it('encodes commands as arrays of bulk strings', () => {
+    assert.equal(encodeCommand(['SET', 'k', 'é', 5]).toString(), '*4\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\né\r\n$1\r\n5\r\n');
+  });
+});
+
+describe('RedisClient', () => {
+  let server;
+  let url;
+  let client;
+
+  before(async () => {
+    server = new FakeRedisServer();
+    url = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.data.clear();
+    server.commands = [];
+    server.chunkSize = 0;
+    server.override = null;
+    client = new RedisClient(url);
+  });
+
+  it('matches pipelined replies to commands in order', async () => {
+    await client.command('SET', 'a', '1');
+    await client.command('SET', 'b', '2');
+
+    const results = await Promise.all([
+      client.command('GET', 'b'),
+      client.command('GET', 'missing'),
+      client.command('GET', 'a'),
+      client.command('DEL', 'a', 'b')
+    ]);
+
+    assert.deepEqual(results, ['2', null, '1', 2]);
+    await client.quit();
+  });
+
+  it('reassembles replies that arrive split across many chunks', async () => {
+    server.chunkSize = 1;
+    await client.command('SET', 'key', 'x'.repeat(100));
+
+    const [value, scan] = await Promise.all([
+      client.command('GET', 'key'),
+      client.command('SCAN', '0', 'MATCH', '*', 'COUNT', 10)
+    ]);
+
+    assert.equal(value, 'x'.repeat(100));
+    assert.deepEqual(scan, ['0', ['key']]);
+    await client.quit();
+  });
+
+  it('rejects only the command that got an error reply', async () => {
+    server.override = (args) => args[0] === 'GET' && args[1] === 'bad' ? new Error('WRONGTYPE bad key') : undefined;
+
+    const results = await Promise.allSettled([
+      client.command('SET', 'good', 'yes'),
+      client.command('GET', 'bad'),
+      client.command('GET', 'good')
+    ]);
+
+    assert.equal(results[0].value, 'OK');
+    assert.equal(results[1].status, 'rejected');
+    assert.match(results[1].reason.message, /WRONGTYPE/);
+    assert.equal(results[2].value, 'yes');
+    await client.quit();
+  });
+
+  it('authenticates and selects the database from the URL', async () => {
+    const authClient = new RedisClient(url.replace('redis://', 'redis://user:p%40ss@') + '/3');
+    await authClient.command('PING');
+
+    assert.deepEqual(server.commands, [['AUTH', 'user', 'p@ss'], ['SELECT', '3'], ['PING']]);
+    await authClient.quit();
+  });
+
+  it('fails the connection when authentication is refused', async () => {
+    server.override = (args) => args[0] === 'AUTH' ? new Error('WRONGPASS invalid password') : undefined;
+    const authClient = new RedisClient(url.replace('redis://', 'redis://:wrong@'));
+
+    await assert.rejects(authClient.command('PING'), /WRONGPASS/);
+    assert.equal(authClient.socket, null);
+  });
+
+  it('follows SCAN cursors until the server returns 0', async () => {
+    for (let i = 0; i < 1200; i++) {
+      server.data.set(`match:${i}`, { value: '1', expiresAt: null });
+    }
+    server.data.set('other:1', { value: '1', expiresAt: null });
+
+    const keys = await client.scanKeys('match:*');
+
+    assert.equal(keys.length, 1200);
+    assert.equal(server.commands.filter(args => args[0] === 'SCAN').length, 3);
+    await client.quit();
+  });
+
+  it('fails queued commands when the connection drops', async () => {
+    server.override = (args) => {
+      if (args[0] === 'GET') {
+        for (const socket of server.sockets) socket.destroy();
+        return null;
+      }
+      return undefined;
+    };
+
+    await assert.rejects(client.command('GET', 'key'), /closed/);
+    assert.equal(client.queue.length, 0);
+  });
+
+  it('reads a large value arriving in small chunks', async () => {
+    const value = 'v'.repeat(200000);
+    await client.command('SET', 'big', value);
+    server.chunkSize = 512;
+
+    assert.equal(await client.command('GET', 'big'), value);
+    assert.equal(client.bufferedBytes, 0);
+    await client.quit();
+  });
+
+  it('fails pending commands and reconnects after a malformed reply', async () => {
+    server.override = (args) => args[0] === 'GET' ? { raw: '!bogus\r\n' } : undefined;
+
+    const results = await Promise.allSettled([client.command('GET', 'a'), client.command('PING')]);
+    assert.match(results[0].reason.message, /Redis protocol error: Unexpected RESP reply type/);
+    assert.equal(results[1].status, 'rejected');
+    assert.equal(client.socket, null);
+
+    server.override = null;
+    assert.equal(await client.command('PING'), 'PONG');
+    await client.quit();
+  });
+
+  it('encodes replies for the stand-in the same way the client parses them', () => {
+    assert.deepEqual(reply(encodeReply(['1', ['a', null], 2])).value, ['1', ['a', null], 2]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionManager } from '../sessions.js';
+
+const COOKIE = 'a'.repeat(60);
+const OTHER_COOKIE = 'b'.repeat(60);
+
+describe('SessionManager', () => {
+  let sessions;
+  let now;
+
+  // Control the clock the sessions see
+  const useClock = () => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+  };
+  const tick = (ms) => {
+    now += ms;
+  };
+
+  beforeEach(() => {
+    sessions = new SessionManager({ secret: 'test-secret', ttlMs: 60000, maxPerAccount: 2, cleanupIntervalMs: 0 });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('resolves a token it signed to the session holding the cookie', () => {
+    const { token, expiresAt } = sessions.create(COOKIE);
+
+    const session = sessions.resolve(token);
+    assert.equal(session.cobaltCookie, COOKIE);
+    assert.equal(session.expiresAt, expiresAt);
+    assert.ok(!token.includes(COOKIE));
+  });
+
+  it('rejects tampered, forged and malformed tokens', () => {
+    const { token } = sessions.create(COOKIE);
+    const [payload, signature] = token.split('.');
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const extended = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 3600000 })).toString('base64url');
+    const forger = new SessionManager({ secret: 'other-secret', cleanupIntervalMs: 0 });
+
+    assert.equal(sessions.resolve(`${extended}.${signature}`), null);
+    assert.equal(sessions.resolve(`${payload}.${forger.sign(payload)}`), null);
+    assert.equal(sessions.resolve(`${payload}.${signature}.extra`), null);
+    assert.equal(sessions.resolve(payload), null);
+    assert.equal(sessions.resolve(undefined), null);
+    assert.equal(sessions.getStats().rejected, 5);
+  });
+
+  it('rejects tokens signed by another process with the same secret but no session', () => {
+    const { token } = sessions.create(COOKIE);
+    const restarted = new SessionManager({ secret: 'test-secret', cleanupIntervalMs: 0 });
+
+    assert.equal(restarted.resolve(token), null);
+  });
+
+  it('expires tokens after the TTL and refresh extends them', () => {
+    useClock();
+    const { token } = sessions.create(COOKIE);
+
+    tick(50000);
+    const refreshed = sessions.refresh(sessions.resolve(token));
+
+    tick(20000);
+    assert.equal(sessions.resolve(token), null);
+    assert.ok(sessions.resolve(refreshed.token));
+
+    tick(60000);
+    assert.equal(sessions.resolve(refreshed.token), null);
+  });
+
+  it('revoking a session invalidates all of its tokens', () => {
+    const { token } = sessions.create(COOKIE);
+    const session = sessions.resolve(token);
+    const refreshed = sessions.refresh(session);
+
+    sessions.revoke(session);
+
+    assert.equal(sessions.resolve(token), null);
+    assert.equal(sessions.resolve(refreshed.token), null);
+    assert.equal(sessions.getStats().revoked, 1);
+  });
+
+  it('keeps at most maxPerAccount sessions per account, revoking the oldest', () => {
+    useClock();
+    const first = sessions.create(COOKIE);
+    tick(1);
+    const second = sessions.create(COOKIE);
+    tick(1);
+    const other = sessions.create(OTHER_COOKIE);
+    tick(1);
+    const third = sessions.create(COOKIE);
+
+    assert.equal(sessions.resolve(first.token), null);
+    assert.ok(sessions.resolve(second.token));
+    assert.ok(sessions.resolve(third.token));
+    assert.ok(sessions.resolve(other.token));
+    assert.equal(sessions.getStats().sessions, 3);
+  });
+
+  it('cleanup removes expired sessions', () => {
+    useClock();
+    sessions.create(COOKIE);
+    tick(30000);
+    sessions.create(OTHER_COOKIE);
+
+    tick(40000);
+    sessions.cleanup();
+
+    assert.equal(sessions.getStats().sessions, 1);
+  });
+
+  it('requires a secret when told to', () => {
+    assert.throws(() => new SessionManager({ secret: null, requireSecret: true, cleanupIntervalMs: 0 }), /SESSION_SECRET/);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { UpstreamClient, CIRCUIT_STATE, parseRetryAfter } from '../upstream.js';
+
+const URL_ = 'https://character-service.dndbeyond.com/character/v5/test';
+
+const response = (status, headers = {}) => ({
+  status,
+  statusText: String(status),
+  ok: status >= 200 && status < 300,
+  headers: new Headers(headers)
+});
+
+describe('parseRetryAfter', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads delays in seconds and HTTP dates', () => {
+    mock.method(Date, 'now', () => Date.parse('Tue, 01 Jan 2030 00:00:00 GMT'));
+
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(' 0 '), 0);
+    assert.equal(parseRetryAfter('Tue, 01 Jan 2030 00:00:10 GMT'), 10000);
+    assert.equal(parseRetryAfter('Mon, 31 Dec 2029 00:00:00 GMT'), 0);
+  });
+
+  it('ignores missing and invalid values', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('UpstreamClient', () => {
+  let client;
+  let now;
+
+  // Answer attempts from a list of responses (or errors to throw)
+  const respondWith = (...results) => mock.method(client, 'attempt', async () => {
+    const result = results.shift();
+    if (result instanceof Error) throw result;
+    return result;
+  });
+
+  // Control the clock the circuit breaker sees
+  const useClock = () => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+  };
+
+  beforeEach(() => {
+    client = new UpstreamClient({
+      maxConcurrent: 2,
+      maxRetries: 2,
+      baseDelayMs: 1,
+      maxDelayMs: 50,
+      failureThreshold: 2,
+      cooldownMs: 30000
+    });
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retries gateway errors and network errors until one succeeds', async () => {
+    const attempt = respondWith(response(503), new Error('socket hang up'), response(200));
+
+    const result = await client.fetch(URL_);
+
+    assert.equal(result.status, 200);
+    assert.equal(attempt.mock.callCount(), 3);
+    assert.equal(client.getStats().retries, 2);
+    assert.equal(client.getStats().failures, 0);
+  });
+
+  it('returns 4xx responses without retrying', async () => {
+    const attempt = respondWith(response(404));
+
+    assert.equal((await client.fetch(URL_)).status, 404);
+    assert.equal(attempt.mock.callCount(), 1);
+    assert.equal(client.state, CIRCUIT_STATE.CLOSED);
+  });
+
+  it('returns the last response or throws the last error once retries run out', async () => {
+    respondWith(response(502), response(502), response(502));
+    assert.equal((await client.fetch(URL_)).status, 502);
+
+    respondWith(new Error('a'), new Error('b'), new Error('c'));
+    await assert.rejects(client.fetch(URL_), /^Error: c$/);
+  });
+
+  it('does not retry when Retry-After asks for longer than maxDelayMs', async () => {
+    const attempt = respondWith(response(503, { 'Retry-After': '120' }));
+
+    assert.equal((await client.fetch(URL_)).status, 503);
+    assert.equal(attempt.mock.callCount(), 1);
+  });
+
+  it('does not count rate limiting as a circuit failure', async () => {
+    respondWith(...Array(6).fill(response(429)));
+
+    await client.fetch(URL_);
+    await client.fetch(URL_);
+
+    assert.equal(client.state, CIRCUIT_STATE.CLOSED);
+    assert.equal(client.getStats().failures, 0);
+  });
+
+  it('opens after the threshold, half-opens after the cooldown and closes on success', async () => {
+    useClock();
+    respondWith(...Array(6).fill(response(503)));
+
+    await client.fetch(URL_);
+    assert.equal(client.state, CIRCUIT_STATE.CLOSED);
+    await client.fetch(URL_);
+    assert.equal(client.state, CIRCUIT_STATE.OPEN);
+
+    const attempt = respondWith(response(200));
+    await assert.rejects(client.fetch(URL_), error => {
+      assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+      assert.equal(error.retryAfter, 30);
+      return true;
+    });
+    assert.equal(attempt.mock.callCount(), 0);
+
+    now += 30000;
+    assert.equal((await client.fetch(URL_)).status, 200);
+    assert.equal(client.state, CIRCUIT_STATE.CLOSED);
+
+    const stats = client.getStats();
+    assert.equal(stats.circuitOpens, 1);
+    assert.equal(stats.rejected, 1);
+    assert.equal(stats.consecutiveFailures, 0);
+  });
+
+  it('reopens when the half-open request fails', async () => {
+    useClock();
+    client.maxRetries = 0;
+    respondWith(response(503), response(503));
+    await client.fetch(URL_);
+    await client.fetch(URL_);
+
+    now += 30000;
+    respondWith(new Error('still down'));
+    await assert.rejects(client.fetch(URL_), /still down/);
+
+    assert.equal(client.state, CIRCUIT_STATE.OPEN);
+    assert.equal(client.openedUntil, now + 30000);
+    assert.equal(client.getStats().circuitOpens, 2);
+  });
+
+  it('lets one probe through while half-open and fails the rest fast', async () => {
+    useClock();
+    client.maxRetries = 0;
+    respondWith(response(503), response(503));
+    await client.fetch(URL_);
+    await client.fetch(URL_);
+
+    now += 30000;
+    let answer;
+    const attempt = mock.method(client, 'attempt', () => new Promise(resolve => { answer = resolve; }));
+    const probe = client.fetch(URL_);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(client.state, CIRCUIT_STATE.HALF_OPEN);
+    await assert.rejects(client.fetch(URL_), error => {
+      assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+      return true;
+    });
+    assert.equal(attempt.mock.callCount(), 1);
+
+    answer(response(200));
+    assert.equal((await probe).status, 200);
+    assert.equal(client.state, CIRCUIT_STATE.CLOSED);
+    assert.equal(client.getStats().probing, false);
+  });
+
+  it('hands the probe on when a half-open request is rate limited', async () => {
+    useClock();
+    client.maxRetries = 0;
+    respondWith(response(503), response(503));
+    await client.fetch(URL_);
+    await client.fetch(URL_);
+
+    now += 30000;
+    respondWith(response(429), response(200));
+    assert.equal((await client.fetch(URL_)).status, 429);
+    assert.equal(client.state, CIRCUIT_STATE.HALF_OPEN);
+    assert.equal((await client.fetch(URL_)).status, 200);
+    assert.equal(client.state, CIRCUIT_STATE.CLOSED);
+  });
+
+  it('runs at most maxConcurrent requests at once and queues the rest', async () => {
+    let running = 0;
+    let peak = 0;
+    const releases = [];
+    const task = () => new Promise(resolve => {
+      running++;
+      peak = Math.max(peak, running);
+      releases.push(() => {
+        running--;
+        resolve();
+      });
+    });
+
+    const all = Promise.all([1, 2, 3, 4].map(() => client.withSlot(task)));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(client.getStats().active, 2);
+    assert.equal(client.getStats().queued, 2);
+
+    while (releases.length) {
+      releases.shift()();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await all;
+
+    assert.equal(peak, 2);
+    assert.equal(client.getStats().active, 0);
+    assert.equal(client.getStats().queued, 0);
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * Upstream Client for D&D Beyond
+ *
+ * Every request to D&D Beyond goes through one shared client so that:
+ * - at most UPSTREAM.MAX_CONCURRENT requests are in flight at once (a spell
+ *   fetch alone fans out to ~40 calls)
+ * - network errors, 429 and 502/503/504 are retried with exponential backoff,
+ *   waiting as long as D&D Beyond's Retry-After asks
+ * - once D&D Beyond keeps failing, a circuit breaker fails requests fast
+ *   for a cooldown instead of queueing more doomed calls behind timeouts;
+ *   after the cooldown a single request probes D&D Beyond while the rest
+ *   keep failing fast until it answers
+ *
+ * Non-retryable responses (including 4xx) are returned as-is so callers keep
+ * their own `response.ok` handling.
+ */
+
+import fetch from 'node-fetch';
+import { CONSTANTS, UPSTREAM } from './config.js';
+
+// Statuses worth retrying: rate limited or a gateway/overload error
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} header - Retry-After header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  if (/^\d+$/.test(header.trim())) {
+    return Number(header.trim()) * 1000;
+  }
+
+  const date = Date.parse(header);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class UpstreamClient {
+  /**
+   * Create a new upstream client
+   * @param {object} options - Options (defaults from UPSTREAM config)
+   * @param {number} options.maxConcurrent - Requests in flight at once
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - First backoff delay (doubled per retry)
+   * @param {number} options.maxDelayMs - Longest wait before a retry; a longer Retry-After is not retried
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open
+   */
+  constructor({
+    maxConcurrent = UPSTREAM.MAX_CONCURRENT,
+    maxRetries = UPSTREAM.MAX_RETRIES,
+    baseDelayMs = UPSTREAM.BASE_DELAY,
+    maxDelayMs = UPSTREAM.MAX_DELAY,
+    timeoutMs = CONSTANTS.REQUEST_TIMEOUT,
+    failureThreshold = UPSTREAM.FAILURE_THRESHOLD,
+    cooldownMs = UPSTREAM.COOLDOWN
+  } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.active = 0;
+    this.queue = []; // Resolvers waiting for a free slot
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedUntil = 0;
+    this.probe = null; // The fetch allowed through while half-open
+
+    this.requests = 0;
+    this.retries = 0;
+    this.failures = 0;
+    this.rejected = 0;
+    this.circuitOpens = 0;
+  }
+
+  /**
+   * Fetch a D&D Beyond URL with concurrency limiting, retries and the circuit breaker
+   * @param {string} url - URL to fetch
+   * @param {object} options - node-fetch options
+   * @returns {Promise<Response>} - The final response (check response.ok as usual)
+   */
+  async fetch(url, options = {}) {
+    this.requests++;
+    const request = {};
+
+    try {
+      return await this.fetchWithRetries(url, options, request);
+    } finally {
+      // A probe that ended without settling the circuit (e.g. rate limited) lets the next request probe
+      if (this.probe === request) this.probe = null;
+    }
+  }
+
+  /**
+   * Attempt a fetch until it succeeds, fails for good or the circuit stops it
+   * @param {string} url - URL to fetch
+   * @param {object} options - node-fetch options
+   * @param {object} request - Identifies this fetch to the circuit breaker
+   * @returns {Promise<Response>}
+   */
+  async fetchWithRetries(url, options, request) {
+    for (let attempt = 0; ; attempt++) {
+      this.checkCircuit(request);
+
+      let response = null;
+      let error = null;
+      try {
+        response = await this.withSlot(() => this.attempt(url, options));
+      } catch (err) {
+        error = err;
+      }
+
+      if (response && !RETRYABLE_STATUSES.has(response.status)) {
+        // 4xx means D&D Beyond is up and answering, just not with what we wanted
+        this.recordSuccess();
+        return response;
+      }
+
+      const delay = this.retryDelay(attempt, response);
+      if (delay === null) {
+        // Rate limiting is D&D Beyond working as intended, not an outage
+        if (error || response.status !== 429) this.recordFailure();
+        if (error) throw error;
+        return response;
+      }
+
+      const reason = error ? error.message : `${response.status} ${response.statusText}`;
+      console.warn(`[UPSTREAM] ${new URL(url).pathname} failed (${reason}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+
+      // Free the connection before waiting
+      response?.body?.resume?.();
+      this.retries++;
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Make a single attempt with a timeout
+   * @param {string} url - URL to fetch
+   * @param {object} options - node-fetch options
+   * @returns {Promise<Response>}
+   */
+  async attempt(url, options) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Request timeout - D&D Beyond is taking too long to respond');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * How long to wait before the next attempt
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {Response|null} response - Failed response (null for network errors)
+   * @returns {number|null} - Delay in milliseconds, or null to stop retrying
+   */
+  retryDelay(attempt, response) {
+    if (attempt >= this.maxRetries) return null;
+
+    const retryAfter = parseRetryAfter(response?.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxDelayMs ? retryAfter : null;
+    }
+
+    // Exponential backoff with jitter so parallel fetches don't retry in lockstep
+    const backoff = this.baseDelayMs * 2 ** attempt;
+    return Math.min(this.maxDelayMs, Math.round(backoff / 2 + Math.random() * backoff / 2));
+  }
+
+  /**
+   * Run a function once a concurrency slot is free
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} - Its result
+   */
+  async withSlot(fn) {
+    if (this.active >= this.maxConcurrent) {
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next(); // Hand the slot straight over
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  /**
+   * Throw if the circuit is open; move to half-open once the cooldown has passed
+   * While half-open only one request (the probe, retries included) is let
+   * through; the others fail fast until it has succeeded or reopened the circuit.
+   * @param {object} request - Identifies the fetch asking
+   */
+  checkCircuit(request) {
+    if (this.state === CIRCUIT_STATE.CLOSED) return;
+
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      const remaining = this.openedUntil - Date.now();
+      if (remaining > 0) {
+        this.reject(remaining);
+      }
+
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+      console.log('[UPSTREAM] Circuit half-open, trying D&D Beyond again');
+    }
+
+    if (this.probe === null) {
+      this.probe = request;
+    }
+    if (this.probe !== request) {
+      // The probe's outcome is known within one attempt's timeout
+      this.reject(this.timeoutMs);
+    }
+  }
+
+  /**
+   * Fail a request fast while D&D Beyond is considered down
+   * @param {number} waitMs - How long the caller should wait before retrying
+   * @throws {Error} - UPSTREAM_UNAVAILABLE with status 503 and retryAfter in seconds
+   */
+  reject(waitMs) {
+    this.rejected++;
+    const retryAfter = Math.ceil(waitMs / 1000);
+    const error = new Error(`D&D Beyond is unavailable (too many failed requests), retry in ${retryAfter}s`);
+    error.code = 'UPSTREAM_UNAVAILABLE';
+    error.status = 503;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  /**
+   * Record a request D&D Beyond answered
+   */
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      console.log('[UPSTREAM] Circuit closed, D&D Beyond is responding');
+    }
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.probe = null;
+  }
+
+  /**
+   * Record a request that failed after all retries, opening the circuit past the threshold
+   */
+  recordFailure() {
+    this.failures++;
+    this.consecutiveFailures++;
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATE.OPEN) {
+        this.circuitOpens++;
+        console.warn(`[UPSTREAM] Circuit open after ${this.consecutiveFailures} failures, failing fast for ${this.cooldownMs / 1000}s`);
+      }
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedUntil = Date.now() + this.cooldownMs;
+      this.probe = null;
+    }
+  }
+
+  /**
+   * Get upstream statistics
+   * @returns {object} - Statistics
+   */
+  getStats() {
+    return {
+      circuit: this.state,
+      probing: this.probe !== null,
+      consecutiveFailures: this.consecutiveFailures,
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      requests: this.requests,
+      retries: this.retries,
+      failures: this.failures,
+      rejected: this.rejected,
+      circuitOpens: this.circuitOpens
+    };
+  }
+}
+
+// Shared client for all D&D Beyond requests
+export const upstream = new UpstreamClient();
+
+export default upstream;
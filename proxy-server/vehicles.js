@@ -0,0 +1,251 @@
+/**
+ * Vehicles Module
+ *
+ * Handles fetching and normalizing vehicle stat blocks from D&D Beyond:
+ * - Ships (Ghosts of Saltmarsh), infernal war machines (Descent into Avernus)
+ *   and spelljammers (Spelljammer: Adventures in Space)
+ * - Normalizes components, hit points, actions, crew and cargo capacity
+ * - Extracts source book information
+ * - Filters Unearthed Arcana content
+ */
+
+import { upstream } from './upstream.js';
+import { DDB_URLS, CONSTANTS, ABILITY_MAP, MONSTER_SIZE_MAP } from './config.js';
+import { getAuthHeaders } from './auth.js';
+import { buildSourceMap, extractSourceName } from './sources.js';
+
+/**
+ * Extract ALL source book names from vehicle sources array
+ * Uses D&D Beyond's config API for accurate source book names
+ * @param {object} vehicle - Vehicle object from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {string} - Comma-separated source book names
+ */
+function extractSourceBook(vehicle, sourceMap) {
+  const sources = vehicle.sources || [];
+  const sourceNames = [];
+
+  if (sources.length === 0) return 'Unknown Source';
+
+  // Extract ALL source books (not just the first one)
+  sources.forEach(source => {
+    const sourceName = extractSourceName(source, sourceMap);
+
+    // Add to list if we found a name and it's not already in the list
+    if (sourceName && !sourceNames.includes(sourceName)) {
+      sourceNames.push(sourceName);
+    }
+  });
+
+  return sourceNames.length > 0 ? sourceNames.join(', ') : 'Unknown Source';
+}
+
+/**
+ * Filter out Unearthed Arcana content (sourceId 39)
+ * @param {Array} vehicles - Array of vehicle objects
+ * @returns {Array} - Filtered vehicle array
+ */
+function filterUnearthedArcana(vehicles) {
+  return vehicles.filter(vehicle =>
+    !(vehicle.sources || []).some(source => source.sourceId === CONSTANTS.EXCLUDED_SOURCE_ID)
+  );
+}
+
+/**
+ * Filter vehicles by source book IDs
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {Array<number>} sourceBookIds - Array of source book IDs to include
+ * @returns {Array} - Filtered vehicle array
+ */
+function filterBySourceBooks(vehicles, sourceBookIds) {
+  if (!sourceBookIds || sourceBookIds.length === 0) {
+    return vehicles; // No filter, return all
+  }
+
+  // Include vehicle if ANY of its source IDs match the filter
+  return vehicles.filter(vehicle =>
+    (vehicle.sources || []).some(source => sourceBookIds.includes(source.sourceId))
+  );
+}
+
+/**
+ * Normalize name/description entries (actions, features)
+ * @param {Array} entries - Entries from D&D Beyond
+ * @returns {Array<{name: string, description: string}>}
+ */
+function normalizeEntries(entries = []) {
+  return entries.map(entry => ({
+    name: entry.name || '',
+    description: entry.description || ''
+  }));
+}
+
+/**
+ * Normalize a vehicle component (hull, helm, sails, weapons, ...)
+ * @param {object} component - Component object from D&D Beyond
+ * @returns {object} - Normalized component
+ */
+function normalizeComponent(component) {
+  const definition = component.definition || component;
+
+  return {
+    id: component.id ?? definition.id,
+    name: definition.name || 'Unknown Component',
+    types: (definition.types || []).map(type => type.type || type),
+    isPrimary: component.isPrimaryComponent === true,
+    count: component.count || 1,
+    armorClass: definition.armorClass ?? null,
+    armorClassDescription: definition.armorClassDescription || null,
+    hitPoints: definition.hitPoints ?? null,
+    damageThreshold: definition.damageThreshold ?? null,
+    mishapThreshold: definition.mishapThreshold ?? null,
+    speeds: (definition.speeds || []).flatMap(speed =>
+      (speed.modes || []).map(mode => ({
+        value: mode.value ?? null,
+        description: mode.description || ''
+      }))
+    ),
+    costs: (definition.costs || []).map(cost => ({
+      value: cost.value ?? null,
+      description: cost.description || ''
+    })),
+    actions: normalizeEntries(definition.actions),
+    description: definition.description || ''
+  };
+}
+
+/**
+ * Sum creature capacity of a given type (crew or passengers)
+ * @param {Array} creatureCapacity - creatureCapacity from D&D Beyond
+ * @param {string} type - 'crew' or 'passenger'
+ * @returns {number|null} - Total capacity, or null if none listed
+ */
+function sumCreatureCapacity(creatureCapacity = [], type) {
+  const entries = creatureCapacity.filter(entry => (entry.type || '').toLowerCase().startsWith(type));
+  if (entries.length === 0) return null;
+  return entries.reduce((total, entry) => total + (entry.capacity || 0), 0);
+}
+
+/**
+ * Normalize a vehicle stat block
+ * @param {object} vehicle - Vehicle object from D&D Beyond
+ * @param {Map<number, string>} sourceMap - Pre-built source map from D&D Beyond config
+ * @returns {object} - Normalized vehicle
+ */
+function normalizeVehicle(vehicle, sourceMap) {
+  const components = (vehicle.components || []).map(normalizeComponent);
+  const primary = components.find(component => component.isPrimary) || components[0] || null;
+
+  const abilities = {};
+  for (const stat of vehicle.stats || []) {
+    const key = ABILITY_MAP[stat.id];
+    if (key) abilities[key] = stat.value;
+  }
+
+  return {
+    id: vehicle.id,
+    name: vehicle.name || 'Unknown Vehicle',
+    type: vehicle.type || null,
+    sourceBook: extractSourceBook(vehicle, sourceMap),
+    sources: vehicle.sources || [],
+    sizeName: MONSTER_SIZE_MAP[vehicle.sizeId] || null,
+    avatarUrl: vehicle.largeAvatarUrl || vehicle.avatarUrl || null,
+    description: vehicle.description || '',
+    dimensions: {
+      length: vehicle.length ?? null,
+      width: vehicle.width ?? null,
+      weight: vehicle.weight ?? null
+    },
+    abilities,
+
+    // Vehicle-level defenses come from the primary component (the hull)
+    armorClass: primary?.armorClass ?? null,
+    hitPoints: primary?.hitPoints ?? null,
+    damageThreshold: primary?.damageThreshold ?? null,
+    mishapThreshold: primary?.mishapThreshold ?? null,
+
+    crew: sumCreatureCapacity(vehicle.creatureCapacity, 'crew'),
+    passengers: sumCreatureCapacity(vehicle.creatureCapacity, 'passenger'),
+    creatureCapacity: vehicle.creatureCapacity || [],
+    cargoCapacity: {
+      value: vehicle.cargoCapacity ?? null,
+      description: vehicle.cargoCapacityDescription || ''
+    },
+    travelPace: vehicle.travelPace ?? null,
+    conditionImmunities: vehicle.conditionImmunities || [],
+    damageImmunities: vehicle.damageImmunities || [],
+    components,
+    actions: normalizeEntries(vehicle.actions),
+    actionsText: vehicle.actionsText || '',
+    features: normalizeEntries(vehicle.features)
+  };
+}
+
+/**
+ * Fetch all vehicles from D&D Beyond
+ * @param {string} cobaltCookie - User's D&D Beyond session cookie
+ * @param {Array<number>} sourceBookIds - Optional array of source book IDs to filter by
+ * @param {object} options - Optional sharing options (campaignId, sharingSetting)
+ * @returns {Promise<{vehicles: Array, sourceStats: object}>} - Normalized vehicles
+ */
+export async function fetchAllVehicles(cobaltCookie, sourceBookIds = null, options = {}) {
+  const {
+    campaignId = null,
+    sharingSetting = CONSTANTS.DEFAULT_SHARING_SETTING
+  } = options;
+  console.log('[VEHICLES] Fetching vehicles from D&D Beyond...');
+
+  try {
+    // Build source map from D&D Beyond config (cached)
+    const sourceMap = await buildSourceMap();
+
+    // Get auth headers (with cached bearer token if available)
+    const headers = await getAuthHeaders(cobaltCookie, true);
+
+    const response = await upstream.fetch(DDB_URLS.vehicles(sharingSetting, campaignId), { headers });
+
+    if (!response.ok) {
+      console.warn(`[VEHICLES] Error: ${response.status} ${response.statusText}`);
+      throw new Error(`D&D Beyond API error: ${response.status}`);
+    }
+
+    const json = await response.json();
+
+    // Handle different response formats ({success, data: [...]} or bare array)
+    let vehicles = json;
+    if (json.data && Array.isArray(json.data)) {
+      vehicles = json.data;
+    } else if (!Array.isArray(json)) {
+      console.warn('[VEHICLES] Unexpected response format');
+      throw new Error('Unexpected response format from D&D Beyond');
+    }
+
+    console.log(`[VEHICLES] Fetched ${vehicles.length} vehicles from D&D Beyond`);
+
+    // Filter by source books and UA before normalizing
+    vehicles = filterUnearthedArcana(filterBySourceBooks(vehicles, sourceBookIds));
+
+    const normalized = vehicles.map(vehicle => normalizeVehicle(vehicle, sourceMap));
+
+    const sourceStats = {};
+    for (const vehicle of normalized) {
+      const source = vehicle.sourceBook || 'Unknown';
+      sourceStats[source] = (sourceStats[source] || 0) + 1;
+    }
+
+    console.log(`[VEHICLES] Total: ${normalized.length} vehicles`);
+
+    return {
+      vehicles: normalized,
+      sourceStats
+    };
+
+  } catch (error) {
+    console.error('[VEHICLES] Fetch failed:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  fetchAllVehicles
+};
@@ -10,6 +10,15 @@ export class DnDBeyondEnhancedAPI {
     this.sourceCache = null;
     this.itemCache = null;
     this.spellCache = null;
+    this.contentETags = new Map(); // request key -> { etag, data } from the last 200 response, oldest first
+    this.contentETagLimit = 32; // Responses kept for revalidation; enough for every page of a full sync
+    this.contentPageSize = 500;
+    this.jobRequestTimeout = 30000; // Per request; jobs themselves may run much longer
+    this.session = null; // { cookie, token, expiresAt } proxy session for the current cookie
+    this.sessionRequest = null; // In-flight session exchange, shared by concurrent requests
+    this.sessionsSupported = true; // False for proxies that predate /api/session
+    this.sessionRefreshMargin = 60000; // Refresh tokens this long before they expire
+    this.maxRateLimitWait = 10000; // Longest Retry-After worth waiting for before giving up
   }
 
   /**
@@ -33,6 +42,27 @@ export class DnDBeyondEnhancedAPI {
     return game.settings.get('dnd-beyond-enhanced-importer', 'cobaltCookie');
   }
 
+  /**
+   * Add the proxy API key header (private proxies) to request headers
+   * @param {object} [headers={}] - Request headers
+   * @returns {object} Headers, with X-API-Key when a key is configured
+   * @private
+   */
+  _withApiKey(headers = {}) {
+    const apiKey = game.settings.get('dnd-beyond-enhanced-importer', 'proxyApiKey');
+    return apiKey ? { ...headers, 'X-API-Key': apiKey } : headers;
+  }
+
+  /**
+   * Get the campaign sharing parameters for content requests
+   * @returns {object} Request body parameters (campaignId when a campaign is selected)
+   * @private
+   */
+  _getSharingParams() {
+    const importConfig = game.settings.get('dnd-beyond-enhanced-importer', 'importConfig');
+    return importConfig?.campaignId ? { campaignId: importConfig.campaignId } : {};
+  }
+
   /**
    * Check if the proxy server is running and available
    * @returns {Promise<boolean>} Whether the proxy is available
@@ -104,9 +134,9 @@ export class DnDBeyondEnhancedAPI {
       const maxRetries = 3;
       const response = await fetch(`${this._getProxyUrl()}/api/validate-cookie`, {
         method: 'POST',
-        headers: {
+        headers: this._withApiKey({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({ cobaltCookie: cookie })
       });
 
@@ -131,6 +161,142 @@ export class DnDBeyondEnhancedAPI {
     }
   }
 
+  /**
+   * Get a proxy session token for a cookie, exchanging or refreshing it as needed
+   * The cookie is only sent to the proxy when a new session has to be started
+   * @param {string} cookie - The Cobalt cookie
+   * @returns {Promise<string|null>} Proxy token, or null if the proxy has no session support
+   * @private
+   */
+  async _getSessionToken(cookie) {
+    if (!this.sessionsSupported) {
+      return null;
+    }
+
+    const current = this.session?.cookie === cookie ? this.session : null;
+    if (current && Date.now() < current.expiresAt - this.sessionRefreshMargin) {
+      return current.token;
+    }
+
+    if (!this.sessionRequest) {
+      this.sessionRequest = this._renewSession(cookie, current)
+        .finally(() => { this.sessionRequest = null; });
+    }
+    return this.sessionRequest;
+  }
+
+  /**
+   * Refresh the current session, or start a new one if that isn't possible
+   * @param {string} cookie - The Cobalt cookie
+   * @param {object|null} current - Current session for this cookie
+   * @returns {Promise<string|null>} Proxy token, or null if the proxy has no session support
+   * @private
+   */
+  async _renewSession(cookie, current) {
+    if (current && Date.now() < current.expiresAt) {
+      const response = await fetch(`${this._getProxyUrl()}/api/session/refresh`, {
+        method: 'POST',
+        headers: this._withApiKey({
+          'Authorization': `Bearer ${current.token}`
+        })
+      });
+
+      if (response.ok) {
+        return this._storeSession(cookie, await response.json());
+      }
+      if (response.status !== 401) {
+        // D&D Beyond couldn't check the cookie; the current token is still good until it expires
+        console.warn(`D&D Beyond Enhanced Importer | Proxy session refresh failed (${response.status}), keeping the current token`);
+        return current.token;
+      }
+      // Revoked, or the proxy restarted - fall through to a new session
+    }
+
+    const response = await fetch(`${this._getProxyUrl()}/api/session`, {
+      method: 'POST',
+      headers: this._withApiKey({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({ cobaltCookie: cookie })
+    });
+
+    if (response.status === 404) {
+      console.warn('D&D Beyond Enhanced Importer | Proxy does not support sessions, sending the cookie with each request');
+      this.sessionsSupported = false;
+      return null;
+    }
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Proxy session request failed: ${response.status}`);
+    }
+
+    return this._storeSession(cookie, await response.json());
+  }
+
+  /**
+   * Remember a session token from the proxy
+   * @param {string} cookie - The Cobalt cookie it was issued for
+   * @param {object} data - Proxy response ({token, expiresIn})
+   * @returns {string} The token
+   * @private
+   */
+  _storeSession(cookie, data) {
+    // expiresIn rather than expiresAt, so clock differences with the proxy don't matter
+    this.session = {
+      cookie,
+      token: data.token,
+      expiresAt: Date.now() + data.expiresIn * 1000
+    };
+    return data.token;
+  }
+
+  /**
+   * Send a request to the proxy, authenticated with the proxy session token
+   * Requests with a body are POSTed as JSON; without a session (older proxies)
+   * the cookie goes in the body. GETs (the job routes) need a session.
+   * A token the proxy no longer accepts is replaced and the request retried once.
+   * @param {string} path - Proxy path (e.g. '/api/content/items')
+   * @param {object} [options={}] - fetch options; `body` is an object to send as JSON
+   * @param {string|null} [cookie] - Cobalt cookie (defaults to the stored one)
+   * @returns {Promise<Response>} The proxy response
+   * @private
+   */
+  async _proxyFetch(path, { body = null, headers = {}, ...options } = {}, cookie = this._getCobaltCookie()) {
+    const send = (token) => {
+      const requestHeaders = this._withApiKey({ ...headers });
+      let requestBody = body;
+
+      if (token) {
+        requestHeaders['Authorization'] = `Bearer ${token}`;
+      } else if (cookie && body) {
+        requestBody = { ...body, cobaltCookie: cookie };
+      }
+
+      if (requestBody) {
+        requestHeaders['Content-Type'] = 'application/json';
+      }
+
+      return fetch(`${this._getProxyUrl()}${path}`, {
+        method: requestBody ? 'POST' : 'GET',
+        ...options,
+        headers: requestHeaders,
+        body: requestBody ? JSON.stringify(requestBody) : undefined
+      });
+    };
+
+    const token = cookie ? await this._getSessionToken(cookie) : null;
+    const response = await send(token);
+
+    if (token && response.status === 401 && response.headers.get('WWW-Authenticate')?.includes('invalid_token')) {
+      console.log('D&D Beyond Enhanced Importer | Proxy session expired, starting a new one');
+      this.session = null;
+      return send(await this._getSessionToken(cookie));
+    }
+
+    return response;
+  }
+
   /**
    * Make a request to the proxy server for D&D Beyond character service
    * @param {string} endpoint - The API endpoint
@@ -145,13 +311,7 @@ export class DnDBeyondEnhancedAPI {
       throw new Error('No Cobalt cookie available');
     }
 
-    const response = await fetch(`${this._getProxyUrl()}/api/character${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ cobaltCookie })
-    });
+    const response = await this._proxyFetch(`/api/character${endpoint}`, { body: {} }, cobaltCookie);
 
     if (!response.ok) {
       const error = await response.json();
@@ -166,36 +326,220 @@ export class DnDBeyondEnhancedAPI {
    * @param {string} endpoint - The content API endpoint
    * @param {string} [cookie=null] - Optional cookie to use
    * @param {number} [retryCount=0] - Current retry attempt
+   * @param {object} [params={}] - Additional request body parameters
    * @returns {Promise<object>} The API response data
    * @private
    */
-  async _makeContentProxyRequest(endpoint, cookie = null, retryCount = 0) {
+  async _makeContentProxyRequest(endpoint, cookie = null, retryCount = 0, params = {}) {
     const cobaltCookie = cookie || this._getCobaltCookie();
     const maxRetries = 3;
 
-    const response = await fetch(`${this._getProxyUrl()}/api/content${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ cobaltCookie })
-    });
+    // Revalidate against the last response for this endpoint and parameters
+    const etagKey = `${endpoint}|${JSON.stringify(params)}`;
+    const previous = this.contentETags.get(etagKey);
+    const headers = {};
+    if (previous) {
+      headers['If-None-Match'] = previous.etag;
+    }
+
+    const response = await this._proxyFetch(`/api/content${endpoint}`, { headers, body: params }, cobaltCookie);
+
+    // Content unchanged since the last request - reuse it without a transfer
+    if (response.status === 304 && previous) {
+      console.log(`D&D Beyond Enhanced Importer | ${endpoint} not modified, reusing previous response`);
+      this._rememberContentETag(etagKey, previous);
+      return previous.data;
+    }
 
-    // Handle rate limiting with exponential backoff
+    // Handle rate limiting with exponential backoff, or the proxy's Retry-After if it is short
+    // (a layer that resets in minutes fails straight away with the proxy's message)
     if (response.status === 429 && retryCount < maxRetries) {
-      const retryDelay = Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s
-      console.warn(`D&D Beyond Enhanced Importer | Rate limited, retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries})`);
+      const retryAfter = Number(response.headers.get('Retry-After')) * 1000;
+      const retryDelay = retryAfter || Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s
+
+      if (retryDelay <= this.maxRateLimitWait) {
+        console.warn(`D&D Beyond Enhanced Importer | Rate limited, retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries})`);
+
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        return this._makeContentProxyRequest(endpoint, cookie, retryCount + 1, params);
+      }
+    }
+
+    if (!response.ok) {
+      const error = await response.json();
+      const failure = new Error(error.message || `Proxy request failed: ${response.status}`);
+      failure.status = response.status;
+      throw failure;
+    }
+
+    // Proxy served an expired cache entry and is refreshing it in the background
+    if (response.headers.get('X-Cache-Stale') === 'true') {
+      console.log(`D&D Beyond Enhanced Importer | ${endpoint} served from stale proxy cache (refresh in progress)`);
+    }
+
+    // Some D&D Beyond lists failed; the proxy returned the rest without caching it
+    const upstreamFailures = response.headers.get('X-Upstream-Failures');
+    if (upstreamFailures) {
+      console.warn(`D&D Beyond Enhanced Importer | ${endpoint} is incomplete, D&D Beyond failed for: ${upstreamFailures}`);
+    }
+
+    const data = await response.json();
+
+    const etag = response.headers.get('ETag');
+    if (etag) {
+      this._rememberContentETag(etagKey, { etag, data });
+    } else {
+      this.contentETags.delete(etagKey);
+    }
+
+    return data;
+  }
 
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-      return this._makeContentProxyRequest(endpoint, cookie, retryCount + 1);
+  /**
+   * Keep a response for revalidation, dropping the least recently used ones past the limit
+   * so large content lists aren't held for every endpoint and campaign ever requested
+   * @param {string} key - Request key (endpoint and parameters)
+   * @param {object} entry - { etag, data } from a 200 response
+   * @private
+   */
+  _rememberContentETag(key, entry) {
+    this.contentETags.delete(key);
+    this.contentETags.set(key, entry);
+
+    while (this.contentETags.size > this.contentETagLimit) {
+      this.contentETags.delete(this.contentETags.keys().next().value);
+    }
+  }
+
+  /**
+   * Fetch a paginated content list page by page, following the proxy's cursors
+   * If the proxy's list is refreshed between two pages, its cursors stop matching
+   * (409) and the list is fetched again from the first page.
+   * @param {string} endpoint - The content API endpoint ('/items' or '/spells')
+   * @param {Function} [onPage=null] - Called with (entries, pagination) as each page arrives;
+   *   after a restart, entries from earlier pages may be passed again
+   * @returns {Promise<Array>} All entries, in order
+   * @private
+   */
+  async _fetchContentPages(endpoint, onPage = null) {
+    const entries = [];
+    const maxRestarts = 2;
+    let restarts = 0;
+    let cursor = null;
+
+    for (;;) {
+      const params = { ...this._getSharingParams(), pageSize: this.contentPageSize };
+      if (cursor) params.cursor = cursor;
+
+      let data;
+      try {
+        data = await this._makeContentProxyRequest(endpoint, null, 0, params);
+      } catch (error) {
+        if (error.status !== 409 || !cursor || restarts >= maxRestarts) throw error;
+
+        restarts++;
+        console.warn(`D&D Beyond Enhanced Importer | ${endpoint} changed while paging, starting again from the first page`);
+        entries.length = 0;
+        cursor = null;
+        continue;
+      }
+
+      // Older proxies ignore pagination and return the whole list at once
+      const page = Array.isArray(data) ? data : data.data;
+      const pagination = data.pagination || { total: page.length, page: 1, totalPages: 1, nextCursor: null };
+
+      entries.push(...page);
+      console.log(`D&D Beyond Enhanced Importer | ${endpoint} page ${pagination.page}/${pagination.totalPages} (${entries.length}/${pagination.total})`);
+      if (onPage) await onPage(page, pagination);
+
+      cursor = pagination.nextCursor;
+      if (!cursor) break;
     }
 
+    return entries;
+  }
+
+  /**
+   * Stream a content list from the proxy as NDJSON, one record at a time
+   * Records are parsed as the response arrives, so conversion can start with the first one.
+   * Proxies without streaming support answer with a JSON array, which is yielded as well.
+   * @param {string} endpoint - The content API endpoint ('/items' or '/spells')
+   * @yields {object} Enhanced records
+   * @private
+   */
+  async *_streamContent(endpoint) {
+    const response = await this._proxyFetch(`/api/content${endpoint}`, {
+      headers: {
+        'Accept': 'application/x-ndjson'
+      },
+      body: this._getSharingParams()
+    });
+
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.message || `Proxy request failed: ${response.status}`);
     }
 
-    return await response.json();
+    if (!response.headers.get('Content-Type')?.includes('application/x-ndjson')) {
+      const data = await response.json();
+      yield* (Array.isArray(data) ? data : data.data);
+      return;
+    }
+
+    const parseLine = line => {
+      const record = JSON.parse(line);
+      // The proxy reports failures after streaming has started as a final error line
+      if (record.error === 'Stream failed' && Object.keys(record).length === 2) {
+        throw new Error(record.message);
+      }
+      return record;
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let count = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          count++;
+          yield parseLine(line);
+        }
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      count++;
+      yield parseLine(buffer.trim());
+    }
+
+    console.log(`D&D Beyond Enhanced Importer | Streamed ${count} records from ${endpoint}`);
+  }
+
+  /**
+   * Stream items from D&D Beyond via the proxy, without holding the whole list in memory
+   * @yields {object} Enhanced items
+   */
+  async *streamItems() {
+    yield* this._streamContent('/items');
+  }
+
+  /**
+   * Stream spells from D&D Beyond via the proxy, without holding the whole list in memory
+   * @yields {object} Enhanced spells
+   */
+  async *streamSpells() {
+    yield* this._streamContent('/spells');
   }
 
   /**
@@ -237,12 +581,16 @@ export class DnDBeyondEnhancedAPI {
 
   /**
    * Get items from D&D Beyond
+   * @param {object} [options={}] - Fetch options
+   * @param {Function} [options.onPage] - Called with (items, pagination) as each page arrives,
+   *   so conversion can start before the whole list is loaded (not called for the local database fallback)
    * @returns {Promise<Array>} Array of items
    */
-  async getItems() {
+  async getItems({ onPage = null } = {}) {
     // Return cached items if available
     if (this.itemCache) {
       console.log(`D&D Beyond Enhanced Importer | DEBUG: Returning cached items (${this.itemCache.length} items)`);
+      if (onPage) await onPage(this.itemCache, { total: this.itemCache.length, page: 1, totalPages: 1, nextCursor: null });
       return this.itemCache;
     }
 
@@ -261,10 +609,7 @@ export class DnDBeyondEnhancedAPI {
     try {
       // Try to get items from D&D Beyond via proxy
       console.log('D&D Beyond Enhanced Importer | Fetching items from D&D Beyond API');
-      const data = await this._makeContentProxyRequest('/items');
-
-      // D&D Beyond returns items in a data property
-      const items = data.data || data;
+      const items = await this._fetchContentPages('/items', onPage);
       this.itemCache = items;
       console.log(`D&D Beyond Enhanced Importer | DEBUG: Fetched ${items.length} items from API`);
       console.log('D&D Beyond Enhanced Importer | DEBUG: Full sample item structure:', JSON.stringify(items[0], null, 2));
@@ -284,17 +629,34 @@ export class DnDBeyondEnhancedAPI {
 
   /**
    * Get spells from D&D Beyond
-   * NOTE: D&D Beyond spells API requires classId/classLevel parameters, so using local database
+   * NOTE: D&D Beyond's spell API needs class context; the proxy walks every class for us
+   * @param {object} [options={}] - Fetch options
+   * @param {Function} [options.onPage] - Called with (spells, pagination) as each page arrives
+   *   (not called for the local database fallback)
    * @returns {Promise<Array>} Array of spells
    */
-  async getSpells() {
+  async getSpells({ onPage = null } = {}) {
     // Return cached spells if available
     if (this.spellCache) {
       console.log(`D&D Beyond Enhanced Importer | DEBUG: Returning cached spells (${this.spellCache.length} spells)`);
+      if (onPage) await onPage(this.spellCache, { total: this.spellCache.length, page: 1, totalPages: 1, nextCursor: null });
       return this.spellCache;
     }
 
-    // Use local database - D&D Beyond spells API requires class context
+    const proxyAvailable = await this.checkProxyAvailability();
+
+    if (proxyAvailable) {
+      try {
+        console.log('D&D Beyond Enhanced Importer | Fetching spells from D&D Beyond API');
+        this.spellCache = await this._fetchContentPages('/spells', onPage);
+        console.log(`D&D Beyond Enhanced Importer | DEBUG: Fetched ${this.spellCache.length} spells from API`);
+        return this.spellCache;
+      } catch (error) {
+        console.warn('D&D Beyond Enhanced Importer | API failed, using local database:', error.message);
+      }
+    }
+
+    // Fall back to local database
     console.log('D&D Beyond Enhanced Importer | Loading spells from local database');
     const response = await fetch('modules/dnd-beyond-enhanced-importer/database/spells.json');
     this.spellCache = await response.json();
@@ -315,7 +677,7 @@ export class DnDBeyondEnhancedAPI {
       throw new Error('Proxy server required for item details');
     }
 
-    return await this._makeContentProxyRequest(`/items/${itemId}`);
+    return await this._makeContentProxyRequest(`/items/${itemId}`, null, 0, this._getSharingParams());
   }
 
   /**
@@ -330,11 +692,242 @@ export class DnDBeyondEnhancedAPI {
       throw new Error('Proxy server required for spell details');
     }
 
-    return await this._makeContentProxyRequest(`/spells/${spellId}`);
+    return await this._makeContentProxyRequest(`/spells/${spellId}`, null, 0, this._getSharingParams());
+  }
+
+  /**
+   * Get the account's homebrew collection (magic items, spells and subclasses)
+   * @returns {Promise<{items: Array, spells: Array, subclasses: Array}>} Homebrew content
+   */
+  async getHomebrewCollection() {
+    const proxyAvailable = await this.checkProxyAvailability();
+
+    if (!proxyAvailable) {
+      throw new Error('Proxy server required for homebrew content');
+    }
+
+    return await this._makeContentProxyRequest('/homebrew', null, 0, this._getSharingParams());
+  }
+
+  /**
+   * Get a normalized D&D Beyond character
+   * Public characters work without a cookie; the stored cookie is sent when available
+   * @param {number|string} characterId - D&D Beyond character ID
+   * @returns {Promise<object>} Normalized character
+   */
+  async getCharacter(characterId) {
+    const proxyAvailable = await this.checkProxyAvailability();
+
+    if (!proxyAvailable) {
+      throw new Error('Proxy server required for characters');
+    }
+
+    const response = await this._proxyFetch(`/api/characters/${characterId}`, { body: {} });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Proxy request failed: ${response.status}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Get the campaigns the account belongs to, with their player characters
+   * @param {boolean} [bustCache=false] - Force the proxy to refetch the directory
+   * @returns {Promise<Array>} Campaigns ({id, name, dm, sharingEnabled, characters})
+   */
+  async getCampaigns(bustCache = false) {
+    const proxyAvailable = await this.checkProxyAvailability();
+
+    if (!proxyAvailable) {
+      throw new Error('Proxy server required for campaigns');
+    }
+
+    const cobaltCookie = this._getCobaltCookie();
+    if (!cobaltCookie) {
+      throw new Error('No Cobalt cookie available');
+    }
+
+    const response = await this._proxyFetch('/api/campaigns', { body: { bustCache } }, cobaltCookie);
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Proxy request failed: ${response.status}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Get details for many items and spells in a single request
+   * @param {object} ids - IDs to look up
+   * @param {Array<number>} [ids.items=[]] - Item IDs
+   * @param {Array<number>} [ids.spells=[]] - Spell IDs
+   * @returns {Promise<{items: Map<number, object>, spells: Map<number, object>}>} Details keyed by ID
+   */
+  async getContentDetails({ items = [], spells = [] } = {}) {
+    const proxyAvailable = await this.checkProxyAvailability();
+
+    if (!proxyAvailable) {
+      throw new Error('Proxy server required for content details');
+    }
+
+    const details = {
+      items: new Map(),
+      spells: new Map()
+    };
+
+    // Split into batches the proxy will accept
+    const batchSize = 1000;
+    for (let i = 0; i < Math.max(items.length, spells.length); i += batchSize) {
+      const data = await this._makeContentProxyRequest('/details', null, 0, {
+        ...this._getSharingParams(),
+        items: items.slice(i, i + batchSize),
+        spells: spells.slice(i, i + batchSize)
+      });
+
+      for (const item of data.items || []) {
+        details.items.set(item.id, item);
+      }
+      for (const spell of data.spells || []) {
+        details.spells.set(spell.id, spell);
+        if (spell.definition?.id !== undefined && !details.spells.has(spell.definition.id)) {
+          details.spells.set(spell.definition.id, spell);
+        }
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * Start a background fetch job on the proxy
+   * @param {string} type - Content type ('items', 'spells', 'monsters', 'feats', 'classes', ...)
+   * @param {object} [params={}] - Filters (sourceBookIds, search, monster filters, bustCache)
+   * @returns {Promise<object>} Job status ({id, status, progress, ...})
+   */
+  async startJob(type, params = {}) {
+    const response = await this._proxyFetch('/api/jobs', {
+      body: { ...this._getSharingParams(), ...params, type },
+      signal: AbortSignal.timeout(this.jobRequestTimeout)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Proxy request failed: ${response.status}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Get a fetch job's status and progress
+   * @param {string} jobId - Job ID from startJob()
+   * @param {string} [path=''] - '' for the status, '/result' for the finished data
+   * @returns {Promise<object>} Job status, or the result data
+   */
+  async getJob(jobId, path = '') {
+    const response = await this._proxyFetch(`/api/jobs/${encodeURIComponent(jobId)}${path}`, {
+      signal: AbortSignal.timeout(this.jobRequestTimeout)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Proxy request failed: ${response.status}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Follow a fetch job's live progress (Server-Sent Events)
+   * Read with fetch rather than EventSource, which can't send the Authorization header
+   * @param {string} jobId - Job ID from startJob()
+   * @param {Function} onEvent - Called with (event, data) for 'status', 'progress' and 'done' events
+   * @returns {Promise<object>} Final job status from the 'done' event
+   */
+  async watchJob(jobId, onEvent) {
+    const response = await this._proxyFetch(`/api/jobs/${encodeURIComponent(jobId)}/events`, {
+      headers: {
+        'Accept': 'text/event-stream'
+      }
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Proxy request failed: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finalStatus = null;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line; comment lines (":") are keep-alives
+      let separator;
+      while ((separator = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, separator);
+        buffer = buffer.slice(separator + 2);
+
+        let event = 'message';
+        let data = '';
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (!data) continue;
+
+        const payload = JSON.parse(data);
+        if (event === 'done') finalStatus = payload;
+        onEvent(event, payload);
+      }
+    }
+
+    if (!finalStatus) {
+      throw new Error('Progress stream ended before the job finished');
+    }
+
+    return finalStatus;
+  }
+
+  /**
+   * Run a fetch job to completion, polling for progress
+   * Each request is short, so slow fetches can't hit the hosting platform's request timeout
+   * @param {string} type - Content type ('items', 'spells', 'monsters', ...)
+   * @param {object} [params={}] - Filters passed to startJob()
+   * @param {object} [options={}] - Polling options
+   * @param {Function} [options.onProgress] - Called with the job status after every poll
+   * @param {number} [options.pollInterval=1000] - Milliseconds between polls
+   * @returns {Promise<any>} The job's result data
+   */
+  async runJob(type, params = {}, { onProgress = null, pollInterval = 1000 } = {}) {
+    let job = await this.startJob(type, params);
+    console.log(`D&D Beyond Enhanced Importer | Started ${type} job ${job.id}`);
+
+    while (job.status === 'pending' || job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      job = await this.getJob(job.id);
+      if (onProgress) onProgress(job);
+    }
+
+    if (job.status === 'failed') {
+      throw new Error(job.error || `${type} job failed`);
+    }
+
+    return await this.getJob(job.id, '/result');
   }
 
   /**
    * Clear all caches
+   * ETags (and the responses they validate) are kept, so the next fetch can
+   * still be answered with 304 Not Modified when nothing changed
    */
   clearCache() {
     this.sourceCache = null;
@@ -12,6 +12,7 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
     this.importer = importer;
     this.sources = [];
     this.selectedSources = [];
+    this.campaigns = null; // Campaign directory, or null if it couldn't be loaded
     this.loading = true;
     this.activeTab = 'sources'; // Default tab
   }
@@ -51,6 +52,8 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
           ? this.sources.filter(s => savedSources[s.id]).map(s => s.id)
           : this.sources.map(s => s.id);
 
+        this.campaigns = await this._loadCampaigns();
+
         this.loading = false;
       } catch (error) {
         console.error('D&D Beyond Enhanced Importer | Error loading sources:', error);
@@ -61,11 +64,23 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
     // Get import configuration
     const importConfig = game.settings.get('dnd-beyond-enhanced-importer', 'importConfig');
 
+    // Campaign picker, falling back to free text when the directory isn't available
+    const savedCampaignId = String(importConfig.campaignId || '');
+    const campaigns = this.campaigns?.length > 0
+      ? this.campaigns.map(campaign => ({
+        ...campaign,
+        selected: String(campaign.id) === savedCampaignId,
+        sharingDisabled: campaign.sharingEnabled === false
+      }))
+      : null;
+
     return {
       sources: this.sources,
       selectedSources: this.selectedSources,
       loading: this.loading,
       importConfig: importConfig,
+      campaigns,
+      campaignOther: Boolean(campaigns && savedCampaignId && !campaigns.some(campaign => campaign.selected)),
       lastSync: game.settings.get('dnd-beyond-enhanced-importer', 'lastSync')
         ? new Date(game.settings.get('dnd-beyond-enhanced-importer', 'lastSync')).toLocaleString()
         : 'Never'
@@ -123,6 +138,11 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
       this._updateButtonState(html);
     });
     
+    // Show the free-text campaign field only for "Other"
+    html.find('#campaign-select').change(event => {
+      html.find('#campaign-id').toggle(event.target.value === 'other');
+    });
+    
     // Import button
     html.find('.import-button').click(async event => {
       event.preventDefault();
@@ -138,21 +158,36 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
       const createFolders = html.find('#create-folders').prop('checked');
       const folderStructure = html.find('#folder-structure').val();
       const overwriteExisting = html.find('#overwrite-existing').prop('checked');
+      const campaignSelect = html.find('#campaign-select');
+      const campaignInput = campaignSelect.length > 0 && campaignSelect.val() !== 'other'
+        ? campaignSelect.val()
+        : html.find('#campaign-id').val().trim();
       
       if (!importItems && !importSpells) {
         ui.notifications.warn('Please select at least one content type to import (items or spells).');
         return;
       }
       
+      // Accept either a campaign URL or a bare campaign ID
+      const campaignId = this._parseCampaignId(campaignInput);
+      if (campaignInput && !campaignId) {
+        ui.notifications.warn('Could not read a campaign ID. Paste a D&D Beyond campaign URL or its numeric ID.');
+        return;
+      }
+      
       // Save settings
       await game.settings.set('dnd-beyond-enhanced-importer', 'importConfig', {
         importItems,
         importSpells,
         createFolders,
         folderStructure,
-        overwriteExisting
+        overwriteExisting,
+        campaignId
       });
       
+      // Campaign changes what content is available, so drop cached lists
+      this.importer.api.clearCache();
+      
       // Save selected sources
       const sourcesObj = {};
       for (const source of this.sources) {
@@ -164,6 +199,10 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
       html.find('.import-button').prop('disabled', true).text('Importing...');
       
       try {
+        // Fetch on the proxy first, showing live progress until conversion can start
+        const contentTypes = [importItems && 'items', importSpells && 'spells'].filter(Boolean);
+        await this._fetchWithProgress(html, contentTypes);
+        
         // Start the import
         const results = await this.importer.importContent(this.selectedSources, {
           importItems,
@@ -254,6 +293,36 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
     this._updateButtonState(html);
   }
   
+  /**
+   * Load the account's campaigns for the campaign picker
+   * @returns {Promise<Array|null>} Campaigns, or null if they couldn't be loaded (e.g. an older proxy)
+   * @private
+   */
+  async _loadCampaigns() {
+    try {
+      return await this.importer.api.getCampaigns();
+    } catch (error) {
+      console.warn('D&D Beyond Enhanced Importer | Could not load campaigns, falling back to a campaign URL field:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract a D&D Beyond campaign ID from a campaign URL or bare ID
+   * @param {string} value - Campaign URL or ID
+   * @returns {string} The campaign ID, or an empty string if none found
+   * @private
+   */
+  _parseCampaignId(value) {
+    if (!value) return '';
+
+    // Format: https://www.dndbeyond.com/campaigns/####
+    const urlMatch = value.match(/\/campaigns\/(\d+)/);
+    if (urlMatch) return urlMatch[1];
+
+    return /^\d+$/.test(value) ? value : '';
+  }
+
   /**
    * Update the state of the import button
    * @param {jQuery} html - The jQuery object for the dialog
@@ -293,6 +362,47 @@ export class ImportDialog extends foundry.applications.api.HandlebarsApplication
     html.find(`.tab[data-tab="${tabName}"]`).addClass('active').show();
   }
 
+  /**
+   * Run fetch jobs on the proxy and show their live progress in the dialog
+   * The proxy caches what the jobs fetch, so the import that follows streams
+   * straight from its cache. Failures are left to the import's own fallbacks.
+   * @param {jQuery} html - The dialog HTML
+   * @param {Array<string>} contentTypes - Content types to fetch ('items', 'spells')
+   * @private
+   */
+  async _fetchWithProgress(html, contentTypes) {
+    const api = this.importer.api;
+    if (!(await api.checkProxyAvailability())) return;
+
+    const status = html.find('.fetch-status');
+
+    for (const type of contentTypes) {
+      const label = type.charAt(0).toUpperCase() + type.slice(1);
+
+      try {
+        status.text(`${label}: starting...`);
+        const job = await api.startJob(type);
+
+        const result = await api.watchJob(job.id, (event, data) => {
+          if (event === 'progress') {
+            status.text(`${label}: ${data.message}`);
+          }
+        });
+
+        if (result.status !== 'completed') {
+          status.text(`${label}: fetch failed (${result.error})`);
+        } else if (result.failures?.length > 0) {
+          status.text(`${label}: ready (${result.resultCount ?? 0}), incomplete - D&D Beyond failed for ${result.failures.map(f => f.source).join(', ')}`);
+        } else {
+          status.text(`${label}: ready (${result.resultCount ?? 0})`);
+        }
+      } catch (error) {
+        console.warn(`D&D Beyond Enhanced Importer | Could not follow ${type} fetch progress:`, error.message);
+        status.text('');
+      }
+    }
+  }
+
   /**
    * Show import results
    * @param {object} results - The import results
@@ -86,16 +86,16 @@ export class HomebrewImporter {
           throw new Error(`Unsupported content type: ${contentType}`);
       }
       
-      // Fetch the content from the API
-      const homebrewData = await this.api._makeContentRequest(endpoint);
+      // Fetch the content from the proxy, including the campaign's shared homebrew
+      const homebrewData = await this.api._makeContentProxyRequest(endpoint, null, 0, this.api._getSharingParams());
       
-      if (!homebrewData || !homebrewData.data) {
+      if (!homebrewData || !homebrewData.id) {
         throw new Error('Failed to fetch homebrew content from D&D Beyond');
       }
       
       return {
         contentType: contentType,
-        data: homebrewData.data
+        data: homebrewData
       };
     } catch (error) {
       console.error('D&D Beyond Enhanced Importer | Error fetching homebrew:', error);
@@ -259,68 +259,29 @@ export class EnhancedImporter {
         console.log('D&D Beyond Enhanced Importer | DEBUG: Starting item import');
         ui.notifications.info('Fetching items from D&D Beyond...');
 
-        let items = [];
-        try {
-          items = await this.api.getItems();
-          console.log(`D&D Beyond Enhanced Importer | DEBUG: Retrieved ${items.length} total items`);
-        } catch (error) {
-          console.error('D&D Beyond Enhanced Importer | Error fetching items from API:', error);
-
-          // If API fails, try loading from the local database
-          ui.notifications.warn('Could not connect to D&D Beyond API. Using local database.');
-          const response = await fetch('modules/dnd-beyond-enhanced-importer/database/items.json');
-          items = await response.json();
-          console.log(`D&D Beyond Enhanced Importer | DEBUG: Retrieved ${items.length} items from fallback`);
-        }
-
-        // Filter to only selected sources
-        // D&D Beyond API returns sources as an array, not a single sourceId
-        const filteredItems = items.filter(item => {
-          // Check if item has sources array (API format)
-          if (item.sources && Array.isArray(item.sources)) {
-            return item.sources.some(source => selectedSources.includes(source.sourceId));
-          }
-          // Fallback to sourceId property (local database format)
-          return selectedSources.includes(item.sourceId);
-        });
-        console.log(`D&D Beyond Enhanced Importer | DEBUG: Filtered to ${filteredItems.length} items matching selected sources`);
-
-        if (filteredItems.length === 0) {
-          console.warn('D&D Beyond Enhanced Importer | DEBUG: No items match selected sources!');
-          console.log('D&D Beyond Enhanced Importer | DEBUG: Sample item sources:', items.slice(0, 5).map(i => ({ name: i.name, sources: i.sources })));
-        }
-        
-        // Create a progress bar
+        // Create a progress bar (the total isn't known while records are still streaming in)
         const itemProgress = new Progress({
           label: 'Importing Items',
           pct: 0,
           step: 0,
-          total: filteredItems.length,
+          total: 0,
           animate: false
         });
-        
-        // Import each item
-        for (let i = 0; i < filteredItems.length; i++) {
-          const ddbItem = filteredItems[i];
-          console.log(`D&D Beyond Enhanced Importer | DEBUG: Processing item ${i + 1}/${filteredItems.length}: ${ddbItem.name}`);
+
+        // Import each item as soon as it arrives
+        let itemCount = 0;
+        for await (const { record: ddbItem, details: itemDetails, total } of this._contentRecords('items', selectedSources)) {
+          const i = itemCount++;
+          console.log(`D&D Beyond Enhanced Importer | DEBUG: Processing item ${i + 1}${total ? `/${total}` : ''}: ${ddbItem.name}`);
 
           try {
             // Update progress
             itemProgress.label = `Importing Item: ${ddbItem.name}`;
-            itemProgress.pct = Math.round((i / filteredItems.length) * 100);
+            itemProgress.pct = total ? Math.round((i / total) * 100) : 0;
             itemProgress.step = i;
+            itemProgress.total = total || itemCount;
             itemProgress.render();
 
-            // Get detailed item information
-            let itemDetails;
-            try {
-              itemDetails = await this.api.getItemDetails(ddbItem.id);
-              console.log(`D&D Beyond Enhanced Importer | DEBUG: Got detailed info for ${ddbItem.name}`);
-            } catch (error) {
-              console.warn(`D&D Beyond Enhanced Importer | Error getting item details for ${ddbItem.name}, using basic item:`, error);
-              itemDetails = ddbItem;
-            }
-
             // Convert to Foundry format
             console.log(`D&D Beyond Enhanced Importer | DEBUG: Converting ${ddbItem.name} to Foundry format`);
             const foundryItem = await convertDDBItemToFoundry(itemDetails, sources);
@@ -466,68 +427,29 @@ export class EnhancedImporter {
         console.log('D&D Beyond Enhanced Importer | DEBUG: Starting spell import');
         ui.notifications.info('Fetching spells from D&D Beyond...');
 
-        let spells = [];
-        try {
-          spells = await this.api.getSpells();
-          console.log(`D&D Beyond Enhanced Importer | DEBUG: Retrieved ${spells.length} total spells`);
-        } catch (error) {
-          console.error('D&D Beyond Enhanced Importer | Error fetching spells from API:', error);
-
-          // If API fails, try loading from the local database
-          ui.notifications.warn('Could not connect to D&D Beyond API. Using local database.');
-          const response = await fetch('modules/dnd-beyond-enhanced-importer/database/spells.json');
-          spells = await response.json();
-          console.log(`D&D Beyond Enhanced Importer | DEBUG: Retrieved ${spells.length} spells from fallback`);
-        }
-
-        // Filter to only selected sources
-        // D&D Beyond API returns sources as an array, not a single sourceId
-        const filteredSpells = spells.filter(spell => {
-          // Check if spell has sources array (API format)
-          if (spell.sources && Array.isArray(spell.sources)) {
-            return spell.sources.some(source => selectedSources.includes(source.sourceId));
-          }
-          // Fallback to sourceId property (local database format)
-          return selectedSources.includes(spell.sourceId);
-        });
-        console.log(`D&D Beyond Enhanced Importer | DEBUG: Filtered to ${filteredSpells.length} spells matching selected sources`);
-
-        if (filteredSpells.length === 0) {
-          console.warn('D&D Beyond Enhanced Importer | DEBUG: No spells match selected sources!');
-          console.log('D&D Beyond Enhanced Importer | DEBUG: Sample spell sources:', spells.slice(0, 5).map(s => ({ name: s.name, sources: s.sources })));
-        }
-        
-        // Create a progress bar
+        // Create a progress bar (the total isn't known while records are still streaming in)
         const spellProgress = new Progress({
           label: 'Importing Spells',
           pct: 0,
           step: 0,
-          total: filteredSpells.length,
+          total: 0,
           animate: false
         });
-        
-        // Import each spell
-        for (let i = 0; i < filteredSpells.length; i++) {
-          const ddbSpell = filteredSpells[i];
-          console.log(`D&D Beyond Enhanced Importer | DEBUG: Processing spell ${i + 1}/${filteredSpells.length}: ${ddbSpell.name}`);
+
+        // Import each spell as soon as it arrives
+        let spellCount = 0;
+        for await (const { record: ddbSpell, details: spellDetails, total } of this._contentRecords('spells', selectedSources)) {
+          const i = spellCount++;
+          console.log(`D&D Beyond Enhanced Importer | DEBUG: Processing spell ${i + 1}${total ? `/${total}` : ''}: ${ddbSpell.name}`);
 
           try {
             // Update progress
             spellProgress.label = `Importing Spell: ${ddbSpell.name}`;
-            spellProgress.pct = Math.round((i / filteredSpells.length) * 100);
+            spellProgress.pct = total ? Math.round((i / total) * 100) : 0;
             spellProgress.step = i;
+            spellProgress.total = total || spellCount;
             spellProgress.render();
 
-            // Get detailed spell information
-            let spellDetails;
-            try {
-              spellDetails = await this.api.getSpellDetails(ddbSpell.id);
-              console.log(`D&D Beyond Enhanced Importer | DEBUG: Got detailed info for ${ddbSpell.name}`);
-            } catch (error) {
-              console.warn(`D&D Beyond Enhanced Importer | Error getting spell details for ${ddbSpell.name}, using basic spell:`, error);
-              spellDetails = ddbSpell;
-            }
-
             // Convert to Foundry format
             console.log(`D&D Beyond Enhanced Importer | DEBUG: Converting ${ddbSpell.name} to Foundry format`);
             const foundrySpell = await convertDDBSpellToFoundry(spellDetails, sources);
@@ -604,6 +526,105 @@ export class EnhancedImporter {
     }
   }
   
+  /**
+   * Load items or spells for import, yielding each one with its detailed data
+   * Imports the proxy's list page by page as each page arrives. Pages are
+   * conditional requests, so an unchanged list is served from the module's
+   * cache (the NDJSON stream, `api.streamItems()`, sends no ETag). Only the
+   * local database fallback is loaded whole, with its details fetched in one batch.
+   * @param {string} type - 'items' or 'spells'
+   * @param {Array} selectedSources - Array of selected source IDs
+   * @yields {{record: object, details: object, total: number|null}} total is null until the whole list is known
+   */
+  async *_contentRecords(type, selectedSources) {
+    const yielded = new Set();
+
+    // Import each page as it arrives: the next page is only requested once this one
+    // has been imported. Pages are already the proxy's full enhanced entries.
+    const pages = [];
+    let current = null;
+    let wake = null;
+    let loaded = false;
+    let stopped = false;
+    const notify = () => {
+      const resolve = wake;
+      wake = null;
+      if (resolve) resolve();
+    };
+    const onPage = page => stopped ? Promise.resolve() : new Promise(resolve => {
+      pages.push({ page, resolve });
+      notify();
+    });
+
+    const loading = type === 'items' ? this.api.getItems({ onPage }) : this.api.getSpells({ onPage });
+    loading.catch(() => {}).finally(() => {
+      loaded = true;
+      notify();
+    });
+
+    try {
+      while (pages.length > 0 || !loaded) {
+        if (pages.length === 0) {
+          await new Promise(resolve => { wake = resolve; });
+          continue;
+        }
+
+        current = pages.shift();
+        for (const record of current.page) {
+          if (!this.shouldImport(record, selectedSources) || yielded.has(record.id)) continue;
+          yielded.add(record.id);
+          yield { record, details: record, total: null };
+        }
+        current.resolve();
+        current = null;
+      }
+    } finally {
+      // Don't leave the fetch waiting on pages nobody will import
+      stopped = true;
+      current?.resolve();
+      for (const { resolve } of pages.splice(0)) resolve();
+    }
+
+    let records = [];
+    try {
+      records = await loading;
+      console.log(`D&D Beyond Enhanced Importer | DEBUG: Retrieved ${records.length} total ${type}`);
+    } catch (error) {
+      console.error(`D&D Beyond Enhanced Importer | Error fetching ${type} from API:`, error);
+
+      // If API fails, try loading from the local database
+      ui.notifications.warn('Could not connect to D&D Beyond API. Using local database.');
+      const response = await fetch(`modules/dnd-beyond-enhanced-importer/database/${type}.json`);
+      records = await response.json();
+      console.log(`D&D Beyond Enhanced Importer | DEBUG: Retrieved ${records.length} ${type} from fallback`);
+    }
+
+    // Whatever didn't arrive in pages (the local database fallback), filtered to the selected sources
+    const filtered = records.filter(record => this.shouldImport(record, selectedSources) && !yielded.has(record.id));
+    console.log(`D&D Beyond Enhanced Importer | DEBUG: ${yielded.size} ${type} imported page by page, ${filtered.length} more matching selected sources`);
+    if (filtered.length === 0) {
+      if (yielded.size === 0) {
+        console.warn(`D&D Beyond Enhanced Importer | DEBUG: No ${type} match selected sources!`);
+        console.log(`D&D Beyond Enhanced Importer | DEBUG: Sample ${type} sources:`, records.slice(0, 5).map(r => ({ name: r.name, sources: r.sources })));
+      }
+      return;
+    }
+
+    // Fetch detailed information for every record in one batch
+    let detailsById = new Map();
+    try {
+      const details = await this.api.getContentDetails({ [type]: filtered.map(record => record.id) });
+      detailsById = details[type];
+      console.log(`D&D Beyond Enhanced Importer | DEBUG: Got detailed info for ${detailsById.size} ${type}`);
+    } catch (error) {
+      console.warn(`D&D Beyond Enhanced Importer | Error getting ${type} details, using basic ${type}:`, error);
+    }
+
+    for (const record of filtered) {
+      yield { record, details: detailsById.get(record.id) || record, total: filtered.length };
+    }
+  }
+
   /**
    * Check if an item or spell should be imported
    * @param {object} item - The item or spell
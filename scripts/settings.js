@@ -35,6 +35,17 @@ export function registerSettings() {
     }
   });
 
+  // Register Proxy API Key setting (private proxies only)
+  game.settings.register('dnd-beyond-enhanced-importer', 'proxyApiKey', {
+    name: 'Proxy API Key',
+    hint: 'Shared key for a private, self-hosted proxy server (its PROXY_API_KEY). Stored in this browser only, never sent to other players. Leave empty for the official proxy.',
+    scope: 'client',
+    config: true,
+    type: String,
+    default: '',
+    onChange: () => {}
+  });
+
   // Last sync date
   game.settings.register('dnd-beyond-enhanced-importer', 'lastSync', {
     name: 'Last Synchronization',
@@ -70,6 +81,7 @@ export function registerSettings() {
       createFolders: true,
       folderStructure: 'sourceBook', // Can be 'sourceBook', 'itemType', 'flat'
       overwriteExisting: true,
+      campaignId: '', // D&D Beyond campaign whose shared content should be included
     },
     onChange: () => {}
   });
@@ -155,8 +167,10 @@ class ImporterConfigDialog extends foundry.applications.api.HandlebarsApplicatio
   }
 
   static async #onSubmit(event, form, formData) {
-    // Save the form data to the settings
+    // Save the form data to the settings (keeping options set from the import dialog)
+    const importConfig = game.settings.get('dnd-beyond-enhanced-importer', 'importConfig');
     await game.settings.set('dnd-beyond-enhanced-importer', 'importConfig', {
+      ...importConfig,
       importItems: formData.object.importItems,
       importSpells: formData.object.importSpells,
       createFolders: formData.object.createFolders,
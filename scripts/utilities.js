@@ -181,11 +181,14 @@ export async function convertDDBSpellToFoundry(ddbSpell, sources) {
   }
   
   // Add spell flags
+  // Class/subclass availability lets GMs build class and subclass spell lists
   spell.flags = {
     'dnd-beyond-enhanced-importer': {
       ddbId: ddbSpell.id,
       sourceId: ddbSpell.sourceId,
       sourceName: getSourceName(ddbSpell.sourceId, sources),
+      availableToClasses: ddbSpell.availableToClasses || [],
+      availableToSubclasses: ddbSpell.availableToSubclasses || [],
       importVersion: '1.0.0'
     }
   };